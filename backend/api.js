@@ -4,7 +4,19 @@ import dotenv from 'dotenv';
 import { createClient } from '@supabase/supabase-js';
 import cookieParser from 'cookie-parser';
 import path from 'path'; 
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { getPaymentProvider } from './payments/index.js';
+import { getImageStorage } from './storage/index.js';
+import { computeQuote, roundMoney } from './pricing.js';
+import { getShippingOptions } from './shipping.js';
+import { parseCollectionBody, parseProductBody, parseVariantsBody, PRODUCT_STATUSES, publicationState } from './catalog.js';
+import { applyFreeShipping, evaluateCoupon, normalizeCouponCode, parseCouponBody } from './discounts.js';
+import { buildSrcsets, generateRenditions, parseImageUpload, toImageMedia } from './images.js';
+import { applySearchFilters, parseSearchFilters, searchProducts, sortProducts } from './search.js';
+import { certificateSignatureMatches, maskOwnerName, parseCertificateCode, signCertificateCode } from './certificates.js';
+import { getNotifier } from './notifications/index.js';
+import { dropMessage, restockMessage } from './notifications/messages.js';
 
 // --- ESM path Fix ---
 const __filename = fileURLToPath(import.meta.url);
@@ -34,7 +46,11 @@ app.use(cors({
 }));
 
 app.use(cookieParser());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // --- Serve Static Files ---
@@ -50,8 +66,58 @@ app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, '..', 'login.html'));
 });
 
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'admin.html'));
+});
+
+// Public authenticity check linked from every certificate
+app.get('/verify/:code', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'verify.html'));
+});
+
 console.log("✅ Express middleware and static routing configured.");
 
+// ===================================
+// --- SESSION HELPERS ---
+// ===================================
+
+// Resolves the sf-token cookie to the caller's users row (null for guests or stale sessions)
+async function getSessionProfile(req) {
+    const token = req.cookies['sf-token'];
+    if (!token) return null;
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return null;
+
+    const { data: profile } = await supabase.from('users').select('*').eq('supabase_id', user.id).maybeSingle();
+    return profile;
+}
+
+// Route guard for account-only endpoints; exposes the caller's users row as req.user
+async function requireUser(req, res, next) {
+    try {
+        const profile = await getSessionProfile(req);
+        if (!profile) return res.status(401).json({ error: 'No session' });
+        req.user = profile;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Route guard for back-office endpoints; only users with role 'admin' get through
+async function requireAdmin(req, res, next) {
+    try {
+        const profile = await getSessionProfile(req);
+        if (!profile) return res.status(401).json({ error: 'No session' });
+        if (profile.role !== 'admin') return res.status(403).json({ error: 'Admin access required' });
+        req.user = profile;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
 // ===================================
 // --- STOREFRONT AUTH ROUTES ---
 // ===================================
@@ -125,18 +191,2951 @@ app.post('/store/logout', (req, res) => {
 // --- PUBLIC PRODUCT ROUTES ---
 // ===================================
 
+const VARIANT_COLUMNS = 'id, size, sku, price, stock, weight_grams, position';
+const IMAGE_COLUMNS = 'id, url, alt, width, height, srcset, sources';
+
+// Products and collections leave the storefront once unpublish_at passes. Scheduled ones
+// (publish_at still ahead) stay visible as "coming soon" so a drop can be teased, but
+// products can't be bought until it opens.
+const whereNotEnded = (query) => query.or(`unpublish_at.is.null,unpublish_at.gt.${new Date().toISOString()}`);
+const whereListed = (query) => whereNotEnded(query.eq('status', 'active'));
+const isListed = (product) => product?.status === 'active' && publicationState(product) !== 'ended';
+const isOnSale = (product) => product?.status === 'active' && publicationState(product) === 'live';
+
+// Storefront shape of a product row: variants in display order with their effective price.
+// A variant without its own price sells at the product price. `media` lines up with `images`
+// and carries the srcsets of uploaded images.
+function toProductResponse(product) {
+    const { product_variants: rows = [], product_images: imageRows = [], ...rest } = product;
+    const images = Array.isArray(rest.images) ? rest.images : [];
+    const variants = [...rows]
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+        .map(variant => ({
+            id: variant.id,
+            size: variant.size,
+            sku: variant.sku,
+            price: Number(variant.price ?? rest.price) || 0,
+            stock: variant.stock,
+            weight_grams: variant.weight_grams,
+            in_stock: variant.stock > 0
+        }));
+    const prices = variants.length ? variants.map(variant => variant.price) : [Number(rest.price) || 0];
+
+    return {
+        ...rest,
+        images,
+        media: toImageMedia(images, imageRows),
+        variants,
+        // Products without variant rows are sold without stock tracking
+        in_stock: variants.length === 0 || variants.some(variant => variant.in_stock),
+        // Listed ahead of its publish_at; the storefront counts down to it
+        coming_soon: publicationState(rest) === 'scheduled',
+        price_from: Math.min(...prices),
+        price_to: Math.max(...prices)
+    };
+}
+
+const COLLECTION_COLUMNS = 'id, slug, name, description, position, publish_at, unpublish_at';
+
+const toCollectionResponse = (collection) => ({ ...collection, coming_soon: publicationState(collection) === 'scheduled' });
+
+// Storefront lookup: collections past their unpublish_at are gone
+async function loadCollectionBySlug(slug) {
+    const { data, error } = await whereNotEnded(supabase
+        .from('collections')
+        .select(COLLECTION_COLUMNS)
+        .eq('slug', slug))
+        .maybeSingle();
+    if (error) throw error;
+    return data && toCollectionResponse(data);
+}
+
+// Listed products in the storefront shape, filtered and sorted as parsed by parseSearchFilters.
+// With a collection, only its products are listed and 'featured' follows the collection's order;
+// a collection that is still coming soon lists nothing until it opens.
+async function listStorefrontProducts(filters, collection = null) {
+    let query = whereListed(supabase
+        .from('products')
+        .select(`*, product_variants(${VARIANT_COLUMNS}), product_images(${IMAGE_COLUMNS})`))
+        .order('created_at', { ascending: false });
+
+    let positions = null;
+    if (collection?.coming_soon) return [];
+    if (collection) {
+        const { data: members, error } = await supabase
+            .from('product_collections')
+            .select('product_id, position')
+            .eq('collection_id', collection.id);
+        if (error) throw error;
+        if (!members.length) return [];
+
+        positions = new Map(members.map(member => [String(member.product_id), member.position ?? 0]));
+        query = query.in('id', [...positions.keys()]);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return sortProducts(applySearchFilters(data.map(toProductResponse), filters), filters.sort, positions);
+}
+
+// GET /products?collection=limited-edition&minPrice=1000&maxPrice=3000&size=M&inStock=true&sort=price_asc
+// Every parameter is optional; sort is featured (default), newest, price_asc, price_desc or name.
 app.get('/products', async (req, res) => {
-    const { data, error } = await supabase.from('products').select('*').eq('status', 'active');
+    const filters = parseSearchFilters(req.query);
+    if (filters.errors) return res.status(400).json({ error: 'Invalid filters', fields: filters.errors });
+
+    try {
+        let collection = null;
+        if (req.query.collection) {
+            collection = await loadCollectionBySlug(String(req.query.collection));
+            if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        }
+        res.json(await listStorefrontProducts(filters.values, collection));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /products/search?q=hoodie&minPrice=1000&maxPrice=3000&size=M&inStock=true&tag=outerwear&limit=20
+// Typo-tolerant matching over name, tags and description (see search.js). Every parameter is
+// optional; without q the filtered products come back newest first.
+app.get('/products/search', async (req, res) => {
+    const filters = parseSearchFilters(req.query);
+    if (filters.errors) return res.status(400).json({ error: 'Invalid search', fields: filters.errors });
+
+    const query = String(req.query.q || '').trim().slice(0, 100);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const { data, error } = await whereListed(supabase
+        .from('products')
+        .select(`*, product_variants(${VARIANT_COLUMNS}), product_images(${IMAGE_COLUMNS})`))
+        .order('created_at', { ascending: false });
     if (error) return res.status(500).json({ error: error.message });
-    res.json(data);
+
+    let matches = searchProducts(applySearchFilters(data.map(toProductResponse), filters.values), query);
+    // Results are ranked by relevance unless the shopper picked another order
+    if (filters.values.sort && filters.values.sort !== 'featured') matches = sortProducts(matches, filters.values.sort);
+    res.json({ query, total: matches.length, products: matches.slice(0, limit) });
 });
 
-// --- Start Server ---
-const PORT = process.env.PORT || 3000;
-if (process.env.NODE_ENV !== 'production') {
-    app.listen(PORT, () => {
-        console.log(`🚀 Local backend running on http://localhost:${PORT}`);
+// GET /product/:id
+app.get('/product/:id', async (req, res) => {
+    const { data: product, error } = await whereListed(supabase
+        .from('products')
+        .select(`*, product_variants(${VARIANT_COLUMNS}), product_images(${IMAGE_COLUMNS})`)
+        .eq('id', req.params.id))
+        .maybeSingle();
+
+    // A malformed id is a lookup miss from the storefront's point of view
+    if (error && error.code !== '22P02') return res.status(500).json({ error: error.message });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    res.json(toProductResponse(product));
+});
+
+// ===================================
+// --- COLLECTION ROUTES ---
+// ===================================
+
+// GET /collections
+// Every collection that hasn't ended, in display order, for navigation
+app.get('/collections', async (req, res) => {
+    const { data, error } = await whereNotEnded(supabase
+        .from('collections')
+        .select(COLLECTION_COLUMNS))
+        .order('position', { ascending: true })
+        .order('name', { ascending: true });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json(data.map(toCollectionResponse));
+});
+
+// GET /collections/:slug?minPrice=&maxPrice=&size=&inStock=&sort=
+// The collection and its active products; takes the same filters as GET /products
+app.get('/collections/:slug', async (req, res) => {
+    const filters = parseSearchFilters(req.query);
+    if (filters.errors) return res.status(400).json({ error: 'Invalid filters', fields: filters.errors });
+
+    try {
+        const collection = await loadCollectionBySlug(req.params.slug);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        res.json({ collection, products: await listStorefrontProducts(filters.values, collection) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- STOCK NOTIFICATION ROUTES ---
+// ===================================
+// Customers leave an email against a sold-out size (kind 'restock') or a drop that hasn't gone
+// live yet (kind 'drop'). sendDueNotifications emails them once through the notifier and stamps
+// notified_at; a later sell-out needs a new subscription.
+
+const STORE_URL = process.env.STORE_URL || 'https://brkn-store.vercel.app';
+const SUBSCRIPTION_COLUMNS = 'id, kind, email, product_id, variant_id, created_at';
+
+// Sends every subscription whose moment has come: restocks once the size has stock again,
+// drops once publish_at has passed. Each one is claimed by setting notified_at before sending,
+// so overlapping runs never email anyone twice; a failed send hands the claim back for the next run.
+async function sendDueNotifications() {
+    const { data, error } = await supabase
+        .from('notification_subscriptions')
+        .select('id, kind, email, products(id, name, status, publish_at, unpublish_at), product_variants(id, size, stock)')
+        .is('notified_at', null)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const due = data.filter(({ kind, products: product, product_variants: variant }) => {
+        if (!isOnSale(product)) return false;
+        return kind === 'restock' ? variant?.stock > 0 : true;
+    });
+
+    let sent = 0;
+    let failed = 0;
+    for (const subscription of due) {
+        const { data: claimed, error: claimError } = await supabase
+            .from('notification_subscriptions')
+            .update({ notified_at: new Date().toISOString() })
+            .eq('id', subscription.id)
+            .is('notified_at', null)
+            .select('id');
+        if (claimError) throw claimError;
+        if (!claimed.length) continue;
+
+        const product = subscription.products;
+        const url = `${STORE_URL}/product.html?id=${encodeURIComponent(product.id)}`;
+        const content = subscription.kind === 'restock'
+            ? restockMessage({ product, size: subscription.product_variants?.size, url })
+            : dropMessage({ product, url });
+        try {
+            await getNotifier().send({ to: subscription.email, ...content });
+            sent++;
+        } catch (sendError) {
+            console.error(`Notification ${subscription.id} failed:`, sendError.message);
+            await supabase.from('notification_subscriptions').update({ notified_at: null }).eq('id', subscription.id);
+            failed++;
+        }
+    }
+    return { sent, failed };
+}
+
+// POST /store/notifications
+// Body: { productId, variantId?, email? }; email defaults to the logged-in customer's.
+// With a variantId it is a back-in-stock alert for that sold-out size, without one an alert
+// for when the drop goes live. Signing up twice returns the existing subscription.
+app.post('/store/notifications', async (req, res) => {
+    const { productId, variantId } = req.body || {};
+    const hasVariant = variantId !== undefined && variantId !== null && variantId !== '';
+
+    try {
+        const profile = await getSessionProfile(req);
+        const email = String(req.body?.email || profile?.email || '').trim().toLowerCase();
+        const fields = {};
+        if (!email) fields.email = 'This field is required';
+        else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) fields.email = 'Please enter a valid email address';
+        if (!productId) fields.productId = 'This field is required';
+        if (Object.keys(fields).length) return res.status(400).json({ error: 'Invalid subscription', fields });
+
+        const { data: product, error } = await whereListed(supabase
+            .from('products')
+            .select('id, status, publish_at, unpublish_at, product_variants(id, stock)')
+            .eq('id', productId))
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        const variant = hasVariant ? product.product_variants.find(candidate => String(candidate.id) === String(variantId)) : null;
+        if (hasVariant && !variant) {
+            return res.status(400).json({ error: 'Invalid subscription', fields: { variantId: 'This size does not belong to the product' } });
+        }
+        if (variant && variant.stock > 0) return res.status(409).json({ error: 'This size is in stock' });
+        if (!variant && publicationState(product) !== 'scheduled') return res.status(409).json({ error: 'This product is already available' });
+
+        const kind = variant ? 'restock' : 'drop';
+        let existingQuery = supabase
+            .from('notification_subscriptions')
+            .select(SUBSCRIPTION_COLUMNS)
+            .eq('kind', kind)
+            .eq('email', email)
+            .eq('product_id', product.id)
+            .is('notified_at', null)
+            .limit(1);
+        existingQuery = variant ? existingQuery.eq('variant_id', variant.id) : existingQuery.is('variant_id', null);
+        const { data: existing, error: existingError } = await existingQuery.maybeSingle();
+        if (existingError) throw existingError;
+        if (existing) return res.status(200).json({ success: true, subscription: existing });
+
+        const { data: subscription, error: insertError } = await supabase
+            .from('notification_subscriptions')
+            .insert({ kind, email, product_id: product.id, variant_id: variant?.id ?? null, user_id: profile?.id ?? null })
+            .select(SUBSCRIPTION_COLUMNS)
+            .single();
+        if (insertError) throw insertError;
+        res.status(201).json({ success: true, subscription });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ADMIN PRODUCT ROUTES ---
+// ===================================
+// Products move between draft, active and archived. Archiving replaces deletion so past
+// orders keep their product; only active products are visible on the storefront.
+
+async function loadAdminProduct(productId) {
+    const { data, error } = await supabase
+        .from('products')
+        .select(`*, product_variants(${VARIANT_COLUMNS}), product_images(${IMAGE_COLUMNS})`)
+        .eq('id', productId)
+        .maybeSingle();
+    if (error && error.code !== '22P02') throw error;
+    if (!data) return null;
+
+    const { product_variants: variants = [], product_images: imageRows = [], ...product } = data;
+    return {
+        ...product,
+        media: toImageMedia(product.images || [], imageRows),
+        variants: [...variants].sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+    };
+}
+
+// Brings a product's variant rows in line with the submitted list: rows with an id are updated,
+// rows without one are added and sizes left out are removed. Stock changes are applied as a
+// delta through adjustVariantStock so they can't clobber a checkout's reservation.
+// Not transactional: a rejected row is reported in { errors } after the rows before it were saved.
+async function syncVariants(productId, variants) {
+    const { data: existing, error } = await supabase
+        .from('product_variants')
+        .select('id, stock')
+        .eq('product_id', productId);
+    if (error) throw error;
+
+    const existingById = new Map(existing.map(variant => [String(variant.id), variant]));
+    const errors = {};
+    variants.forEach((variant, index) => {
+        if (variant.id !== undefined && !existingById.has(String(variant.id))) {
+            errors[`variants[${index}].id`] = 'This size does not belong to the product';
+        }
+    });
+    if (Object.keys(errors).length) return { errors };
+
+    // Sizes that have been ordered stay, so order history and returns keep working
+    const keptIds = new Set(variants.filter(variant => variant.id !== undefined).map(variant => String(variant.id)));
+    const removedIds = existing.map(variant => variant.id).filter(id => !keptIds.has(String(id)));
+    if (removedIds.length) {
+        const { count, error: orderedError } = await supabase
+            .from('order_items')
+            .select('id', { count: 'exact', head: true })
+            .in('variant_id', removedIds);
+        if (orderedError) throw orderedError;
+        if (count) return { errors: { variants: 'Sizes that have been ordered cannot be removed; set their stock to 0 instead' } };
+
+        const { error: deleteError } = await supabase.from('product_variants').delete().in('id', removedIds);
+        if (deleteError) throw deleteError;
+    }
+
+    for (const [index, { id, stock, ...row }] of variants.entries()) {
+        const key = (field) => `variants[${index}].${field}`;
+        const { error: saveError } = id === undefined
+            ? await supabase.from('product_variants').insert({ ...row, stock, product_id: productId })
+            : await supabase.from('product_variants').update(row).eq('id', id);
+        if (saveError?.code === '23505') return { errors: { [key('sku')]: 'This SKU or size is already in use' } };
+        if (saveError) throw saveError;
+
+        const delta = id === undefined ? 0 : stock - existingById.get(String(id)).stock;
+        if (delta) {
+            const result = await adjustVariantStock(id, delta);
+            if (!result.ok) return { errors: { [key('stock')]: `Only ${result.available} can be removed; the rest is reserved` } };
+        }
+    }
+    return {};
+}
+
+// GET /admin/products?status=draft|active|archived
+app.get('/admin/products', requireAdmin, async (req, res) => {
+    let query = supabase
+        .from('products')
+        .select(`*, product_variants(${VARIANT_COLUMNS})`)
+        .order('created_at', { ascending: false });
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({
+        products: data.map(({ product_variants: variants = [], ...product }) => ({
+            ...product,
+            variants: [...variants].sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+        }))
+    });
+});
+
+// GET /admin/products/:id
+app.get('/admin/products/:id', requireAdmin, async (req, res) => {
+    try {
+        const product = await loadAdminProduct(req.params.id);
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        res.json({ product });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /admin/products
+// Body: { name, price, description?, images?, tags?, status?, publishAt?, unpublishAt?, editionSize?, hsnCode?, taxRate?, variants?: [{ size, sku?, price?, stock?, weightGrams? }] }
+// New products start as drafts unless a status is given.
+app.post('/admin/products', requireAdmin, async (req, res) => {
+    const parsed = parseProductBody(req.body);
+    const parsedVariants = parseVariantsBody(req.body?.variants ?? []);
+    if (parsed.errors || parsedVariants.errors) {
+        return res.status(400).json({ error: 'Invalid product', fields: { ...parsed.errors, ...parsedVariants.errors } });
+    }
+
+    try {
+        const { data: created, error } = await supabase.from('products').insert(parsed.values).select('id').single();
+        if (error) throw error;
+
+        if (parsedVariants.values.length) {
+            const { error: variantsError } = await supabase
+                .from('product_variants')
+                .insert(parsedVariants.values.map(({ id, ...variant }) => ({ ...variant, product_id: created.id })));
+            if (variantsError) {
+                await supabase.from('products').delete().eq('id', created.id);
+                if (variantsError.code === '23505') {
+                    return res.status(409).json({ error: 'Invalid product', fields: { variants: 'One of these SKUs is already in use' } });
+                }
+                throw variantsError;
+            }
+        }
+
+        res.status(201).json({ product: await loadAdminProduct(created.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /admin/products/:id
+// Same body as POST, every field optional. When `variants` is sent it is the complete list of sizes.
+app.put('/admin/products/:id', requireAdmin, async (req, res) => {
+    const parsed = parseProductBody(req.body, { partial: true });
+    const parsedVariants = req.body && 'variants' in req.body ? parseVariantsBody(req.body.variants) : { values: null };
+    if (parsed.errors || parsedVariants.errors) {
+        return res.status(400).json({ error: 'Invalid product', fields: { ...parsed.errors, ...parsedVariants.errors } });
+    }
+
+    try {
+        const product = await loadAdminProduct(req.params.id);
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        // Numbers already sold have to stay inside the edition
+        if (parsed.values.edition_size) {
+            const { data: highest, error: serialError } = await supabase
+                .from('edition_serials')
+                .select('serial')
+                .eq('product_id', product.id)
+                .order('serial', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+            if (serialError) throw serialError;
+            if (highest && highest.serial > parsed.values.edition_size) {
+                return res.status(409).json({ error: 'Invalid product', fields: { editionSize: `No. ${highest.serial} has already been sold` } });
+            }
+        }
+
+        if (Object.keys(parsed.values).length) {
+            const { error } = await supabase.from('products').update(parsed.values).eq('id', product.id);
+            if (error) throw error;
+        }
+        if (parsedVariants.values) {
+            const synced = await syncVariants(product.id, parsedVariants.values);
+            if (synced.errors) {
+                return res.status(409).json({ error: 'Invalid product', fields: synced.errors, product: await loadAdminProduct(product.id) });
+            }
+        }
+
+        res.json({ product: await loadAdminProduct(product.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /admin/products/:id/status
+// Body: { status: 'draft' | 'active' | 'archived' }
+app.patch('/admin/products/:id/status', requireAdmin, async (req, res) => {
+    const { status } = req.body || {};
+    if (!PRODUCT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid product', fields: { status: `Must be one of ${PRODUCT_STATUSES.join(', ')}` } });
+    }
+
+    const { data, error } = await supabase
+        .from('products')
+        .update({ status })
+        .eq('id', req.params.id)
+        .select('id, status')
+        .maybeSingle();
+    if (error && error.code !== '22P02') return res.status(500).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Product not found' });
+    res.json({ success: true, product: data });
+});
+
+// DELETE /admin/products/:id
+// Archives rather than deletes; past orders still point at the product
+app.delete('/admin/products/:id', requireAdmin, async (req, res) => {
+    const { data, error } = await supabase
+        .from('products')
+        .update({ status: 'archived' })
+        .eq('id', req.params.id)
+        .select('id, status')
+        .maybeSingle();
+    if (error && error.code !== '22P02') return res.status(500).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Product not found' });
+    res.json({ success: true, product: data });
+});
+
+// POST /admin/products/:id/images
+// Body: { data: data URL or base64, contentType?, alt? }
+// Stores the original and its AVIF/WebP/JPEG renditions, then appends the image to the
+// product's gallery. Reordering and removing URLs still goes through PUT /admin/products/:id.
+app.post('/admin/products/:id/images', requireAdmin, async (req, res) => {
+    const parsed = parseImageUpload(req.body);
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid image', fields: parsed.errors });
+
+    const storedKeys = [];
+    let storage = null;
+    let imageId = null;
+    try {
+        storage = getImageStorage({ supabase });
+        const product = await loadAdminProduct(req.params.id);
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        let generated;
+        try {
+            generated = await generateRenditions(parsed.values.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid image', fields: { data: 'This file could not be read as an image' } });
+        }
+
+        imageId = crypto.randomUUID();
+        const folder = `products/${product.id}/${imageId}`;
+        const store = async (key, body, contentType) => {
+            const url = await storage.put({ key, body, contentType });
+            storedKeys.push(key);
+            return url;
+        };
+
+        await store(`${folder}/original.${parsed.values.extension}`, parsed.values.buffer, parsed.values.contentType);
+        const uploaded = [];
+        for (const rendition of generated.renditions) {
+            const url = await store(`${folder}/${rendition.width}.${rendition.extension}`, rendition.buffer, rendition.contentType);
+            uploaded.push({ width: rendition.width, format: rendition.format, url });
+        }
+
+        const { url, srcset, sources } = buildSrcsets(uploaded);
+        const { error: insertError } = await supabase.from('product_images').insert({
+            id: imageId,
+            product_id: product.id,
+            url,
+            alt: parsed.values.alt,
+            width: generated.width,
+            height: generated.height,
+            srcset,
+            sources,
+            storage_keys: storedKeys
+        });
+        if (insertError) throw insertError;
+
+        const { error: updateError } = await supabase
+            .from('products')
+            .update({ images: [...(product.images || []), url] })
+            .eq('id', product.id);
+        if (updateError) throw updateError;
+
+        const updated = await loadAdminProduct(product.id);
+        res.status(201).json({ image: updated.media.find(media => media.url === url), product: updated });
+    } catch (error) {
+        // Leave nothing behind from a half-finished upload
+        if (imageId) await supabase.from('product_images').delete().eq('id', imageId);
+        if (storedKeys.length) await storage.remove(storedKeys).catch(removeError => console.error('Failed to clean up image upload:', removeError.message));
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /admin/products/:id/images/:imageId
+// Removes an uploaded image from the gallery and deletes its files
+app.delete('/admin/products/:id/images/:imageId', requireAdmin, async (req, res) => {
+    try {
+        const { data: image, error } = await supabase
+            .from('product_images')
+            .select('id, url, storage_keys, products(id, images)')
+            .eq('id', req.params.imageId)
+            .eq('product_id', req.params.id)
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!image) return res.status(404).json({ error: 'Image not found' });
+
+        const { error: updateError } = await supabase
+            .from('products')
+            .update({ images: (image.products.images || []).filter(url => url !== image.url) })
+            .eq('id', image.products.id);
+        if (updateError) throw updateError;
+
+        const { error: deleteError } = await supabase.from('product_images').delete().eq('id', image.id);
+        if (deleteError) throw deleteError;
+
+        // The gallery no longer points at the files, so a failed delete only leaves orphans in the bucket
+        await getImageStorage({ supabase })
+            .remove(image.storage_keys || [])
+            .catch(removeError => console.error(`Failed to delete files for image ${image.id}:`, removeError.message));
+
+        res.json({ success: true, product: await loadAdminProduct(image.products.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ADMIN COLLECTION ROUTES ---
+// ===================================
+
+async function loadAdminCollection(collectionId) {
+    const { data, error } = await supabase
+        .from('collections')
+        .select(`${COLLECTION_COLUMNS}, product_collections(product_id, position)`)
+        .eq('id', collectionId)
+        .maybeSingle();
+    if (error && error.code !== '22P02') throw error;
+    if (!data) return null;
+
+    const { product_collections: members = [], ...collection } = data;
+    return {
+        ...collection,
+        productIds: [...members].sort((a, b) => (a.position ?? 0) - (b.position ?? 0)).map(member => member.product_id)
+    };
+}
+
+// Replaces the collection's products with `productIds`, in that order.
+// The ids are checked up front so a typo can't leave the collection emptied.
+async function setCollectionProducts(collectionId, productIds) {
+    if (productIds.length) {
+        const { count, error } = await supabase
+            .from('products')
+            .select('id', { count: 'exact', head: true })
+            .in('id', productIds);
+        if (error && error.code !== '22P02') throw error;
+        if (error || count !== productIds.length) return { errors: { productIds: 'One of these products does not exist' } };
+    }
+
+    const { error: deleteError } = await supabase.from('product_collections').delete().eq('collection_id', collectionId);
+    if (deleteError) throw deleteError;
+    if (!productIds.length) return {};
+
+    const { error } = await supabase
+        .from('product_collections')
+        .insert(productIds.map((productId, position) => ({ collection_id: collectionId, product_id: productId, position })));
+    if (error) throw error;
+    return {};
+}
+
+// GET /admin/collections
+app.get('/admin/collections', requireAdmin, async (req, res) => {
+    const { data, error } = await supabase
+        .from('collections')
+        .select(`${COLLECTION_COLUMNS}, product_collections(product_id)`)
+        .order('position', { ascending: true })
+        .order('name', { ascending: true });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({
+        collections: data.map(({ product_collections: members = [], ...collection }) => ({ ...collection, productCount: members.length }))
     });
+});
+
+// GET /admin/collections/:id
+app.get('/admin/collections/:id', requireAdmin, async (req, res) => {
+    try {
+        const collection = await loadAdminCollection(req.params.id);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+        res.json({ collection });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /admin/collections
+// Body: { name, slug?, description?, position?, publishAt?, unpublishAt?, productIds? }
+app.post('/admin/collections', requireAdmin, async (req, res) => {
+    const parsed = parseCollectionBody(req.body);
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid collection', fields: parsed.errors });
+
+    try {
+        const { data: created, error } = await supabase.from('collections').insert(parsed.values).select('id').single();
+        if (error?.code === '23505') return res.status(409).json({ error: 'Invalid collection', fields: { slug: 'This slug is already in use' } });
+        if (error) throw error;
+
+        if (parsed.productIds) {
+            const synced = await setCollectionProducts(created.id, parsed.productIds);
+            if (synced.errors) {
+                await supabase.from('collections').delete().eq('id', created.id);
+                return res.status(400).json({ error: 'Invalid collection', fields: synced.errors });
+            }
+        }
+        res.status(201).json({ collection: await loadAdminCollection(created.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /admin/collections/:id
+// Same body as POST, every field optional. When `productIds` is sent it is the complete, ordered list.
+app.put('/admin/collections/:id', requireAdmin, async (req, res) => {
+    const parsed = parseCollectionBody(req.body, { partial: true });
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid collection', fields: parsed.errors });
+
+    try {
+        const collection = await loadAdminCollection(req.params.id);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+
+        if (Object.keys(parsed.values).length) {
+            const { error } = await supabase.from('collections').update(parsed.values).eq('id', collection.id);
+            if (error?.code === '23505') return res.status(409).json({ error: 'Invalid collection', fields: { slug: 'This slug is already in use' } });
+            if (error) throw error;
+        }
+        if (parsed.productIds) {
+            const synced = await setCollectionProducts(collection.id, parsed.productIds);
+            if (synced.errors) return res.status(400).json({ error: 'Invalid collection', fields: synced.errors });
+        }
+        res.json({ collection: await loadAdminCollection(collection.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /admin/collections/:id
+// The products stay; coupons scoped to the collection simply stop matching them
+app.delete('/admin/collections/:id', requireAdmin, async (req, res) => {
+    try {
+        const collection = await loadAdminCollection(req.params.id);
+        if (!collection) return res.status(404).json({ error: 'Collection not found' });
+
+        await setCollectionProducts(collection.id, []);
+        const { error } = await supabase.from('collections').delete().eq('id', collection.id);
+        if (error) throw error;
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ORDER STATUS HELPERS ---
+// ===================================
+
+// Appends to the order's timeline. The status change itself has already happened,
+// so a failed history write is logged rather than surfaced to the caller.
+async function recordStatusChange(orderId, status, note = null) {
+    const { error } = await supabase.from('order_status_history').insert({ order_id: orderId, status, note });
+    if (error) console.error(`Failed to record status "${status}" for order ${orderId}:`, error.message);
+}
+
+// Moves an order to `toStatus` only if it is currently in one of `fromStatuses`, and records the change.
+// Returns the updated order, or null when another request got there first.
+async function transitionOrder(orderId, fromStatuses, toStatus, { changes = {}, note = null, match = {} } = {}) {
+    const { data: order, error } = await supabase
+        .from('orders')
+        .update({ ...changes, status: toStatus })
+        .eq('id', orderId)
+        .in('status', [].concat(fromStatuses))
+        .match(match)
+        .select()
+        .maybeSingle();
+    if (error) throw error;
+    if (!order) return null;
+
+    await recordStatusChange(orderId, toStatus, note);
+    return order;
+}
+
+// ===================================
+// --- INVENTORY HELPERS ---
+// ===================================
+
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 30;
+
+// Applies a stock delta to one variant using compare-and-set on the current value,
+// so two checkouts racing for the last unit can't both succeed.
+async function adjustVariantStock(variantId, delta, attempts = 5) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const { data: variant, error } = await supabase
+            .from('product_variants')
+            .select('id, stock')
+            .eq('id', variantId)
+            .single();
+        if (error) throw error;
+
+        const nextStock = variant.stock + delta;
+        if (nextStock < 0) return { ok: false, available: variant.stock };
+
+        const { data: updated, error: updateError } = await supabase
+            .from('product_variants')
+            .update({ stock: nextStock })
+            .eq('id', variantId)
+            .eq('stock', variant.stock)
+            .select('id');
+        if (updateError) throw updateError;
+        if (updated.length) return { ok: true, stock: nextStock };
+    }
+    throw new Error('Stock is changing too quickly, please retry');
+}
+
+// Takes stock for every tracked line or for none of them, also when a stock update throws.
+// Returns { shortages } listing each line that could not be filled.
+async function reserveStock(lines) {
+    const reserved = [];
+    const shortages = [];
+
+    try {
+        for (const line of lines) {
+            if (!line.variant_id) continue;
+            const result = await adjustVariantStock(line.variant_id, -line.quantity);
+            if (result.ok) {
+                reserved.push(line);
+            } else {
+                shortages.push({
+                    index: line.index,
+                    productId: line.product_id,
+                    size: line.size,
+                    requested: line.quantity,
+                    available: result.available
+                });
+            }
+        }
+    } catch (error) {
+        await restoreStock(reserved);
+        throw error;
+    }
+
+    if (shortages.length) await restoreStock(reserved);
+    return { shortages };
+}
+
+async function restoreStock(lines) {
+    for (const line of lines) {
+        if (line.variant_id) await adjustVariantStock(line.variant_id, line.quantity);
+    }
+}
+
+// Moves an order out of `fromStatuses` and hands its reserved stock and any coupon use back.
+// The status update is conditional, so concurrent callers release the stock only once.
+async function releaseOrderStock(orderId, fromStatuses, toStatus, options) {
+    const order = await transitionOrder(orderId, fromStatuses, toStatus, options);
+    if (!order) return null;
+
+    const { data: items, error: itemsError } = await supabase
+        .from('order_items')
+        .select('variant_id, quantity')
+        .eq('order_id', orderId);
+    if (itemsError) throw itemsError;
+
+    await restoreStock(items);
+    await releaseCoupon(orderId);
+    await releaseEditionSerials(orderId);
+    return order;
+}
+
+// Expires pending orders whose reservation window has passed
+async function releaseExpiredReservations() {
+    const { data: orders, error } = await supabase
+        .from('orders')
+        .select('id')
+        .eq('status', 'pending')
+        .lt('reserved_until', new Date().toISOString());
+    if (error) throw error;
+
+    let released = 0;
+    for (const order of orders) {
+        if (await releaseOrderStock(order.id, 'pending', 'expired', { note: 'Payment window expired' })) released++;
+    }
+    return released;
+}
+
+// ===================================
+// --- EDITION HELPERS ---
+// ===================================
+// Limited products (edition_size set) number every unit sold, shown as "No. 37/100".
+// edition_serials has one row per numbered unit, unique on (product_id, serial) so two payments
+// can't take the same number, and on (order_item_id, unit) so an order line is never numbered twice
+// (see supabase/migrations). Order creation refuses units beyond what is left of the edition;
+// allocation still copes with an edition running out, for orders that raced each other.
+
+// Gives a unit of an order line the lowest free serial. Resolves to the serial, or null when every
+// number in the edition is taken.
+async function claimEditionSerial(item, unit, editionSize, attempts = 5) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const { data: taken, error } = await supabase
+            .from('edition_serials')
+            .select('serial')
+            .eq('product_id', item.product_id);
+        if (error) throw error;
+
+        const used = new Set(taken.map(row => row.serial));
+        let serial = 1;
+        while (used.has(serial)) serial++;
+        if (serial > editionSize) return null;
+
+        const { error: insertError } = await supabase.from('edition_serials').insert({
+            product_id: item.product_id,
+            serial,
+            edition_size: editionSize,
+            order_id: item.order_id,
+            order_item_id: item.id,
+            unit
+        });
+        if (!insertError) return serial;
+        if (insertError.code !== '23505') throw insertError;
+
+        // Either another payment took this serial (try the next one) or a concurrent run numbered this unit
+        const { data: existing, error: existingError } = await supabase
+            .from('edition_serials')
+            .select('serial')
+            .eq('order_item_id', item.id)
+            .eq('unit', unit)
+            .maybeSingle();
+        if (existingError) throw existingError;
+        if (existing) return existing.serial;
+    }
+    throw new Error('Edition numbers are being allocated too quickly, please retry');
+}
+
+// Numbers every unit on a paid order's limited lines. Safe to run again: units that already have
+// a serial keep it. A line gets all of its numbers or none, so an oversold edition never leaves a
+// line half numbered.
+async function allocateEditionSerials(orderId) {
+    const { data: items, error } = await supabase
+        .from('order_items')
+        .select('id, order_id, product_id, quantity, products(edition_size), edition_serials(unit)')
+        .eq('order_id', orderId);
+    if (error) throw error;
+
+    for (const item of items) {
+        const editionSize = item.products?.edition_size;
+        if (!editionSize) continue;
+
+        const numberedUnits = new Set((item.edition_serials || []).map(row => row.unit));
+        const claimed = [];
+        for (let unit = 1; unit <= item.quantity; unit++) {
+            if (numberedUnits.has(unit)) continue;
+            const serial = await claimEditionSerial(item, unit, editionSize);
+            if (serial === null) {
+                if (claimed.length) {
+                    await supabase.from('edition_serials').delete().eq('order_item_id', item.id).in('unit', claimed);
+                }
+                console.error(`⚠️ Edition of product ${item.product_id} is sold out; order ${orderId} line ${item.id} needs numbering by hand`);
+                break;
+            }
+            claimed.push(unit);
+        }
+    }
+}
+
+// Checks priced cart lines against what is left of each limited edition: numbers already issued
+// and units held by other unpaid orders both count as taken. Returns { shortages } in the same
+// shape as reserveStock, so the cart flags the lines the same way.
+async function checkEditionLimits(lines) {
+    const productIds = [...new Set(lines.map(line => line.product_id))];
+    const { data: products, error } = await supabase
+        .from('products')
+        .select('id, edition_size')
+        .in('id', productIds)
+        .not('edition_size', 'is', null);
+    if (error) throw error;
+    if (!products.length) return { shortages: [] };
+
+    const limitedIds = products.map(product => product.id);
+    const { data: issued, error: issuedError } = await supabase
+        .from('edition_serials')
+        .select('product_id')
+        .in('product_id', limitedIds);
+    if (issuedError) throw issuedError;
+
+    const { data: held, error: heldError } = await supabase
+        .from('order_items')
+        .select('product_id, quantity, orders!inner(status)')
+        .in('product_id', limitedIds)
+        .eq('orders.status', 'pending');
+    if (heldError) throw heldError;
+
+    const remaining = new Map(products.map(product => [String(product.id), product.edition_size]));
+    const take = (productId, quantity) => remaining.set(String(productId), remaining.get(String(productId)) - quantity);
+    issued.forEach(row => take(row.product_id, 1));
+    held.forEach(row => take(row.product_id, row.quantity));
+
+    const shortages = [];
+    for (const line of lines) {
+        const left = remaining.get(String(line.product_id));
+        if (left === undefined) continue;
+        if (line.quantity > left) {
+            shortages.push({
+                index: line.index,
+                productId: line.product_id,
+                size: line.size,
+                requested: line.quantity,
+                available: Math.max(left, 0)
+            });
+        }
+        take(line.product_id, Math.min(line.quantity, Math.max(left, 0)));
+    }
+    return { shortages };
+}
+
+// Hands a cancelled order's numbers back to their editions
+async function releaseEditionSerials(orderId) {
+    const { error } = await supabase.from('edition_serials').delete().eq('order_id', orderId);
+    if (error) throw error;
+}
+
+// Signs certificate codes (certificates.js); changing it invalidates every certificate already issued.
+// Null in production when unset: certificates are left out rather than signed with a known key.
+function getCertificateSecret() {
+    if (process.env.CERTIFICATE_SECRET) return process.env.CERTIFICATE_SECRET;
+    if (process.env.NODE_ENV === 'production') return null;
+    return 'brkn-local-certificates';
+}
+
+if (!getCertificateSecret()) {
+    console.error("🚨 Missing CERTIFICATE_SECRET; certificates of authenticity are turned off.");
+}
+
+// An order line's edition_serials rows -> { size, serials, certificates } in order, or null for open-edition lines.
+// certificates is empty while no certificate secret is configured.
+function toEditionResponse(serialRows) {
+    if (!serialRows?.length) return null;
+    const rows = [...serialRows].sort((a, b) => a.serial - b.serial);
+    const secret = getCertificateSecret();
+    return {
+        size: rows[0].edition_size,
+        serials: rows.map(row => row.serial),
+        certificates: secret ? rows.map(row => ({ serial: row.serial, code: signCertificateCode(row, secret) })) : []
+    };
+}
+
+// ===================================
+// --- COUPON HELPERS ---
+// ===================================
+// Rules live in discounts.js; these load coupons and keep their usage counts.
+
+async function loadCoupon(code) {
+    const { data, error } = await supabase
+        .from('coupons')
+        .select('*')
+        .eq('code', normalizeCouponCode(code))
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// Checks a code against priced cart lines for this user (null for guests).
+// Returns { error } or { coupon, discount, lines } with each line's discount_amount filled in.
+async function applyCoupon(code, lines, userId) {
+    const coupon = await loadCoupon(code);
+    if (!coupon) return { error: 'This code is not valid' };
+
+    let userUses = null;
+    if (userId) {
+        const { count, error } = await supabase
+            .from('coupon_redemptions')
+            .select('id', { count: 'exact', head: true })
+            .eq('coupon_id', coupon.id)
+            .eq('user_id', userId);
+        if (error) throw error;
+        userUses = count;
+    }
+
+    let collectionProductIds = new Set();
+    if (coupon.collection_ids?.length) {
+        const { data, error } = await supabase
+            .from('product_collections')
+            .select('product_id')
+            .in('collection_id', coupon.collection_ids)
+            .in('product_id', lines.map(line => line.product_id));
+        if (error) throw error;
+        collectionProductIds = new Set(data.map(row => String(row.product_id)));
+    }
+
+    const result = evaluateCoupon(coupon, lines, { userUses, collectionProductIds });
+    return result.error ? result : { coupon, ...result };
+}
+
+// Counts one use of a coupon, refusing once max_uses is reached. Compare-and-set on times_used,
+// like stock, so the last use can't be taken twice.
+async function claimCoupon(coupon, attempts = 5) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const { data: current, error } = await supabase
+            .from('coupons')
+            .select('times_used, max_uses')
+            .eq('id', coupon.id)
+            .single();
+        if (error) throw error;
+        if (current.max_uses !== null && current.times_used >= current.max_uses) return false;
+
+        const { data: updated, error: updateError } = await supabase
+            .from('coupons')
+            .update({ times_used: current.times_used + 1 })
+            .eq('id', coupon.id)
+            .eq('times_used', current.times_used)
+            .select('id');
+        if (updateError) throw updateError;
+        if (updated.length) return true;
+    }
+    throw new Error('Coupon is being used too quickly, please retry');
+}
+
+async function unclaimCoupon(couponId, attempts = 5) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const { data: current, error } = await supabase.from('coupons').select('times_used').eq('id', couponId).single();
+        if (error) throw error;
+        if (current.times_used <= 0) return;
+
+        const { data: updated, error: updateError } = await supabase
+            .from('coupons')
+            .update({ times_used: current.times_used - 1 })
+            .eq('id', couponId)
+            .eq('times_used', current.times_used)
+            .select('id');
+        if (updateError) throw updateError;
+        if (updated.length) return;
+    }
+    throw new Error('Coupon is being used too quickly, please retry');
+}
+
+// Gives back the coupon use of an order that was cancelled or never paid
+async function releaseCoupon(orderId) {
+    const { data: redemptions, error } = await supabase
+        .from('coupon_redemptions')
+        .delete()
+        .eq('order_id', orderId)
+        .select('coupon_id');
+    if (error) throw error;
+
+    for (const redemption of redemptions) await unclaimCoupon(redemption.coupon_id);
+}
+
+// ===================================
+// --- ORDER ROUTES ---
+// ===================================
+
+// Re-prices cart lines against the products table; client prices and totals are ignored.
+// Options:
+//   destination ({ state, country, zipCode }) decides the GST split and shipping zone when known;
+//     without it shipping is estimated for a domestic address.
+//   shippingOptionId picks a shipping option, otherwise the cheapest applies.
+//   couponCode/userId apply a discount code; a code that does not apply is reported as couponError
+//     and the cart is priced without it.
+// Returns { lines, totals, taxBreakdown, shippingOptions, shippingMethod, coupon, discount, couponError }
+// or { errors } describing the lines that could not be priced.
+async function priceCartLines(items, { destination = {}, shippingOptionId = null, couponCode = null, userId = null } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { errors: [{ message: 'Cart is empty' }] };
+    }
+
+    const errors = [];
+    const requested = items.map((item, index) => {
+        const productId = item?.productId ?? item?.id;
+        const quantity = Number(item?.quantity);
+        if (productId === undefined || productId === null || productId === '') {
+            errors.push({ index, message: 'Missing product id' });
+        } else if (!Number.isInteger(quantity) || quantity < 1) {
+            errors.push({ index, productId, message: 'Quantity must be a positive whole number' });
+        }
+        return { index, productId, size: item?.size || null, quantity };
+    });
+    if (errors.length) return { errors };
+
+    const productIds = [...new Set(requested.map(line => String(line.productId)))];
+    const { data: products, error } = await supabase
+        .from('products')
+        .select('id, name, price, images, status, publish_at, unpublish_at, hsn_code, tax_rate, product_variants(id, size, price, weight_grams)')
+        .in('id', productIds);
+    if (error) throw error;
+
+    const byId = new Map(products.map(product => [String(product.id), product]));
+    const lines = [];
+    for (const line of requested) {
+        const product = byId.get(String(line.productId));
+        if (isListed(product) && !isOnSale(product)) {
+            errors.push({ index: line.index, productId: line.productId, message: 'This drop has not opened yet' });
+            continue;
+        }
+        if (!isOnSale(product)) {
+            errors.push({ index: line.index, productId: line.productId, message: 'Product is no longer available' });
+            continue;
+        }
+        // Products without variant rows are sold without stock tracking
+        const variants = product.product_variants || [];
+        const variant = variants.find(candidate => candidate.size === line.size)
+            ?? (!line.size && variants.length === 1 ? variants[0] : undefined);
+        if (variants.length && !variant) {
+            errors.push({ index: line.index, productId: line.productId, message: 'Size is not available' });
+            continue;
+        }
+        const unitPrice = Number(variant?.price ?? product.price) || 0;
+        lines.push({
+            index: line.index,
+            product_id: product.id,
+            variant_id: variant?.id ?? null,
+            product_name: product.name,
+            size: variant?.size ?? line.size,
+            image: product.images?.[0] || null,
+            hsn_code: product.hsn_code ?? null,
+            tax_rate: product.tax_rate ?? null,
+            weight_grams: variant?.weight_grams ?? null,
+            unit_price: unitPrice,
+            quantity: line.quantity
+        });
+    }
+    if (errors.length) return { errors };
+
+    let discounted = { lines, coupon: null, discount: null };
+    let couponError = null;
+    if (couponCode) {
+        const applied = await applyCoupon(couponCode, lines, userId);
+        if (applied.error) couponError = applied.error;
+        else discounted = applied;
+    }
+
+    let shippingOptions = getShippingOptions(lines, destination);
+    if (discounted.discount?.freeShipping) shippingOptions = applyFreeShipping(shippingOptions);
+    const shippingMethod = shippingOptions.find(option => option.id === shippingOptionId) ?? shippingOptions[0] ?? null;
+
+    const quote = computeQuote(discounted.lines, {
+        shipping: shippingMethod?.price ?? 0,
+        destinationState: destination.state,
+        destinationCountry: destination.country
+    });
+    const { subtotal, discount, tax, shipping, total } = quote;
+    return {
+        lines: quote.lines,
+        totals: { subtotal, discount, tax, shipping, total },
+        taxBreakdown: quote.taxBreakdown,
+        shippingOptions,
+        shippingMethod,
+        coupon: discounted.coupon,
+        discount: discounted.discount,
+        couponError
+    };
+}
+
+// Re-runs the GST calculation for a pending order once its shipping address is known.
+// `changes` are written alongside the new totals; `changes.shipping` replaces the order's shipping charge.
+async function requoteOrder(order, address, changes = {}) {
+    const quote = computeQuote(order.order_items, {
+        shipping: changes.shipping ?? order.shipping,
+        destinationState: address?.state,
+        destinationCountry: address?.country
+    });
+
+    for (const line of quote.lines) {
+        const { error } = await supabase.from('order_items').update({ tax_amount: line.tax_amount }).eq('id', line.id);
+        if (error) throw error;
+    }
+    const { data: updated, error } = await supabase
+        .from('orders')
+        .update({
+            ...changes,
+            subtotal: quote.subtotal,
+            discount: quote.discount,
+            tax: quote.tax,
+            shipping: quote.shipping,
+            total: quote.total,
+            tax_breakdown: quote.taxBreakdown
+        })
+        .eq('id', order.id)
+        .eq('status', 'pending')
+        .select('*, order_items(*)')
+        .maybeSingle();
+    if (error) throw error;
+    if (!updated) throw new Error('Order is no longer pending');
+    return updated;
+}
+
+// Prices a cart for the quote and coupon routes, on behalf of the session's user if any
+async function priceCartRequest(req) {
+    const { items, address, shippingOptionId, couponCode } = req.body || {};
+    const profile = couponCode ? await getSessionProfile(req) : null;
+    return priceCartLines(items, {
+        destination: address || {},
+        shippingOptionId,
+        couponCode,
+        userId: profile?.id ?? null
+    });
+}
+
+// POST /api/cart/quote
+// Body: { items: [{ productId, size, quantity }], address?: { state, country, zipCode }, shippingOptionId?, couponCode? }
+// Every cart view renders its totals from this, using the same maths as order creation.
+app.post('/api/cart/quote', async (req, res) => {
+    try {
+        const priced = await priceCartRequest(req);
+        if (priced.errors) return res.status(400).json({ error: 'Invalid cart', lines: priced.errors });
+
+        res.status(200).json({
+            lines: priced.lines.map(({ weight_grams, ...line }) => line),
+            ...priced.totals,
+            taxBreakdown: priced.taxBreakdown,
+            shippingOptions: priced.shippingOptions,
+            shippingMethod: priced.shippingMethod,
+            coupon: priced.discount,
+            couponError: priced.couponError
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/coupons/validate
+// Body: { code, items } — checks a code against the cart before it is applied
+app.post('/api/coupons/validate', async (req, res) => {
+    const code = normalizeCouponCode(req.body?.code);
+    if (!code) return res.status(400).json({ valid: false, error: 'Enter a code' });
+
+    try {
+        req.body.couponCode = code;
+        const priced = await priceCartRequest(req);
+        if (priced.errors) return res.status(400).json({ valid: false, error: 'Invalid cart', lines: priced.errors });
+        if (priced.couponError) return res.status(400).json({ valid: false, error: priced.couponError });
+
+        res.status(200).json({ valid: true, coupon: priced.discount, ...priced.totals });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/orders/create
+// Creates the order and its line items in one request, holding stock until the order is paid or expires.
+// Anything written before a failure is rolled back, including the stock reservation and coupon use.
+app.post('/api/orders/create', async (req, res) => {
+    try {
+        const profile = await getSessionProfile(req);
+        const priced = await priceCartLines(req.body?.items, { couponCode: req.body?.couponCode, userId: profile?.id ?? null });
+        if (priced.errors) return res.status(400).json({ error: 'Invalid cart', lines: priced.errors });
+        if (priced.couponError) return res.status(400).json({ error: priced.couponError, field: 'couponCode' });
+
+        const editionCheck = await checkEditionLimits(priced.lines);
+        if (editionCheck.shortages.length) {
+            return res.status(409).json({ error: 'Some limited editions have sold out', lines: editionCheck.shortages });
+        }
+
+        const { shortages } = await reserveStock(priced.lines);
+        if (shortages.length) {
+            return res.status(409).json({ error: 'Some items are out of stock', lines: shortages });
+        }
+
+        if (priced.coupon && !(await claimCoupon(priced.coupon))) {
+            await restoreStock(priced.lines);
+            return res.status(400).json({ error: 'This code has reached its usage limit', field: 'couponCode' });
+        }
+
+        let order;
+        try {
+            const reservedUntil = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+            const { data: createdOrder, error: orderError } = await supabase
+                .from('orders')
+                .insert({
+                    user_id: profile?.id ?? null,
+                    email: profile?.email ?? req.body.email ?? null,
+                    status: 'pending',
+                    currency: 'INR',
+                    reserved_until: reservedUntil.toISOString(),
+                    tax_breakdown: priced.taxBreakdown,
+                    coupon_id: priced.coupon?.id ?? null,
+                    coupon_code: priced.coupon?.code ?? null,
+                    discount_details: priced.discount,
+                    ...priced.totals
+                })
+                .select()
+                .single();
+            if (orderError) throw orderError;
+            order = createdOrder;
+            await recordStatusChange(order.id, 'pending', 'Order placed');
+
+            if (priced.coupon) {
+                const { error: redemptionError } = await supabase
+                    .from('coupon_redemptions')
+                    .insert({ coupon_id: priced.coupon.id, order_id: order.id, user_id: order.user_id });
+                if (redemptionError) throw redemptionError;
+            }
+
+            const { data: items, error: itemsError } = await supabase
+                .from('order_items')
+                .insert(priced.lines.map(({ index, weight_grams, ...line }) => ({ ...line, order_id: order.id })))
+                .select();
+            if (itemsError) throw itemsError;
+
+            res.status(201).json({ success: true, orderId: order.id, order, items });
+        } catch (error) {
+            if (priced.coupon) {
+                if (order) await supabase.from('coupon_redemptions').delete().eq('order_id', order.id);
+                await unclaimCoupon(priced.coupon.id);
+            }
+            if (order) await supabase.from('orders').delete().eq('id', order.id);
+            await restoreStock(priced.lines);
+            throw error;
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/orders/:id/release
+// Hands back the stock held by an unpaid order, e.g. when the customer returns to the cart and
+// checks out again. Released orders are expired, so they stay out of the order history.
+app.post('/api/orders/:id/release', async (req, res) => {
+    try {
+        const order = await findPayableOrder(req, req.params.id);
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+
+        const released = await releaseOrderStock(order.id, 'pending', 'expired', { note: 'Released at checkout' });
+        if (!released) return res.status(409).json({ error: `Order is ${order.status}`, status: order.status });
+        res.status(200).json({ success: true, status: 'expired' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ACCOUNT CART ROUTES ---
+// ===================================
+
+const MAX_CART_LINE_QUANTITY = 99;
+
+// Validates client cart lines down to { product_id, size, quantity }, folding duplicate lines together
+function parseCartLines(items) {
+    if (!Array.isArray(items)) return { error: 'items must be an array' };
+
+    const lines = new Map();
+    for (const item of items) {
+        const productId = item?.productId ?? item?.id;
+        const quantity = Number(item?.quantity);
+        if (productId === undefined || productId === null || !Number.isInteger(quantity) || quantity < 1) {
+            return { error: 'Each item needs a productId and a positive whole quantity' };
+        }
+        const size = item.size || null;
+        const key = `${productId}::${size ?? ''}`;
+        const existing = lines.get(key);
+        lines.set(key, {
+            product_id: productId,
+            size,
+            quantity: Math.min(MAX_CART_LINE_QUANTITY, (existing?.quantity || 0) + quantity)
+        });
+    }
+    return { lines: [...lines.values()] };
+}
+
+// Current server cart in the js/cart.js line shape; lines for products that were taken down are dropped
+async function loadServerCart(userId) {
+    const { data, error } = await supabase
+        .from('cart_items')
+        .select('product_id, size, quantity, products(name, price, images, status, publish_at, unpublish_at)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    return data
+        .filter(row => isListed(row.products))
+        .map(row => ({
+            productId: String(row.product_id),
+            size: row.size,
+            quantity: row.quantity,
+            name: row.products.name,
+            price: Number(row.products.price) || 0,
+            image: row.products.images?.[0] || ''
+        }));
+}
+
+async function replaceServerCart(userId, lines) {
+    const { error: deleteError } = await supabase.from('cart_items').delete().eq('user_id', userId);
+    if (deleteError) throw deleteError;
+    if (!lines.length) return;
+
+    const { error } = await supabase.from('cart_items').insert(lines.map(line => ({ ...line, user_id: userId })));
+    if (error) throw error;
+}
+
+// GET /store/cart
+app.get('/store/cart', requireUser, async (req, res) => {
+    try {
+        res.status(200).json({ items: await loadServerCart(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /store/cart
+// Replaces the account cart with the client's; sent by js/cart.js after every change while logged in
+app.put('/store/cart', requireUser, async (req, res) => {
+    const parsed = parseCartLines(req.body?.items);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    try {
+        await replaceServerCart(req.user.id, parsed.lines);
+        res.status(200).json({ items: await loadServerCart(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /store/cart/merge
+// Folds the anonymous browser cart into the account cart at login. When both carts hold the same
+// product and size, the larger quantity wins rather than the sum, so logging in on a device that
+// already mirrors the account cart never doubles it.
+app.post('/store/cart/merge', requireUser, async (req, res) => {
+    const parsed = parseCartLines(req.body?.items);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    try {
+        const { data: serverLines, error } = await supabase
+            .from('cart_items')
+            .select('product_id, size, quantity')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+
+        const merged = new Map();
+        for (const line of [...serverLines, ...parsed.lines]) {
+            const key = `${line.product_id}::${line.size ?? ''}`;
+            const existing = merged.get(key);
+            merged.set(key, {
+                product_id: line.product_id,
+                size: line.size ?? null,
+                quantity: Math.max(existing?.quantity || 0, line.quantity)
+            });
+        }
+
+        await replaceServerCart(req.user.id, [...merged.values()]);
+        res.status(200).json({ items: await loadServerCart(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ACCOUNT WISHLIST ROUTES ---
+// ===================================
+// Saved products, one row per user and product (the wishlist is for prints, not sizes).
+// Guests keep theirs in localStorage (js/wishlist.js) until they log in.
+
+// Current wishlist, most recently saved first. Products that were taken down drop out.
+async function loadWishlist(userId) {
+    const { data, error } = await supabase
+        .from('wishlist_items')
+        .select(`product_id, created_at, products(*, product_variants(${VARIANT_COLUMNS}), product_images(${IMAGE_COLUMNS}))`)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    return data
+        .filter(row => isListed(row.products))
+        .map(row => ({ productId: String(row.product_id), addedAt: row.created_at, product: toProductResponse(row.products) }));
+}
+
+// Saves products the user doesn't have yet; ids that aren't listed products are skipped
+async function addToWishlist(userId, productIds) {
+    if (!productIds.length) return;
+
+    const { data: products, error } = await whereListed(supabase
+        .from('products')
+        .select('id')
+        .in('id', productIds));
+    if (error && error.code !== '22P02') throw error;
+    if (!products?.length) return;
+
+    const { error: insertError } = await supabase
+        .from('wishlist_items')
+        .upsert(products.map(product => ({ user_id: userId, product_id: product.id })), {
+            onConflict: 'user_id,product_id',
+            ignoreDuplicates: true
+        });
+    if (insertError) throw insertError;
+}
+
+// GET /store/wishlist
+app.get('/store/wishlist', requireUser, async (req, res) => {
+    try {
+        res.status(200).json({ items: await loadWishlist(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /store/wishlist/:productId
+// Saving the same product twice is a no-op
+app.put('/store/wishlist/:productId', requireUser, async (req, res) => {
+    try {
+        const { data: product, error } = await whereListed(supabase
+            .from('products')
+            .select('id')
+            .eq('id', req.params.productId))
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        await addToWishlist(req.user.id, [product.id]);
+        res.status(200).json({ items: await loadWishlist(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /store/wishlist/:productId
+app.delete('/store/wishlist/:productId', requireUser, async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('wishlist_items')
+            .delete()
+            .eq('user_id', req.user.id)
+            .eq('product_id', req.params.productId);
+        if (error && error.code !== '22P02') throw error;
+        res.status(200).json({ items: await loadWishlist(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /store/wishlist/merge
+// Body: { productIds } saved while logged out; adds them to the account wishlist at login
+app.post('/store/wishlist/merge', requireUser, async (req, res) => {
+    const { productIds } = req.body || {};
+    if (!Array.isArray(productIds)) return res.status(400).json({ error: 'productIds must be an array' });
+
+    try {
+        await addToWishlist(req.user.id, [...new Set(productIds.map(String))]);
+        res.status(200).json({ items: await loadWishlist(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ACCOUNT ORDER ROUTES ---
+// ===================================
+
+// Statuses where the customer's money has been taken and kept
+const PAID_STATUSES = ['paid', 'packed', 'shipped', 'delivered'];
+
+// Terms: "Orders can be cancelled within 2 hours of placement" and never once shipped
+const CANCELLATION_WINDOW_MS = 2 * 60 * 60 * 1000;
+const CANCELLABLE_STATUSES = ['pending', 'paid', 'packed'];
+
+function getCancellationState(order) {
+    const deadline = new Date(new Date(order.created_at).getTime() + CANCELLATION_WINDOW_MS);
+    let reason = null;
+    if (!CANCELLABLE_STATUSES.includes(order.status)) reason = `Orders that are ${order.status} cannot be cancelled`;
+    else if (Date.now() > deadline.getTime()) reason = 'The 2-hour cancellation window has passed';
+    return { canCancel: !reason, reason, deadline: deadline.toISOString() };
+}
+
+// Returns money on a captured payment through its provider. Pass `amount` for a partial refund.
+// payments.refunded_amount keeps the running total, so refunds never add up to more than was
+// captured: each one is capped at what is left, and the payment is marked refunded once the total
+// reaches the captured amount. The order history records the others as 'partially_refunded'.
+// Resolves to { status: 'refunded' | 'refund_pending' | 'not_required', refundId? }.
+async function refundPayment(payment, note, amount) {
+    const alreadyRefunded = Number(payment.refunded_amount) || 0;
+    const remaining = roundMoney(Number(payment.amount) - alreadyRefunded);
+    if (remaining <= 0) return { status: 'not_required' };
+
+    const refundAmount = roundMoney(Math.min(amount ?? remaining, remaining));
+    const refundedTotal = roundMoney(alreadyRefunded + refundAmount);
+    const isFullRefund = refundedTotal >= Number(payment.amount);
+
+    // Claim the amount before calling the provider, so two refunds racing each other can't both
+    // take the same remainder
+    const { data: claimed, error: claimError } = await supabase
+        .from('payments')
+        .update({ refunded_amount: refundedTotal })
+        .eq('id', payment.id)
+        .eq('refunded_amount', alreadyRefunded)
+        .select('id');
+    if (claimError) throw claimError;
+    if (!claimed.length) throw new Error('This payment is being refunded already, please refresh and try again');
+
+    try {
+        const provider = getPaymentProvider();
+        const { refundId } = await provider.refund({ paymentId: payment.provider_payment_id, amount: refundAmount });
+        await supabase
+            .from('payments')
+            .update(isFullRefund ? { status: 'refunded', refund_id: refundId } : { refund_id: refundId })
+            .eq('id', payment.id);
+        await recordStatusChange(payment.order_id, isFullRefund ? 'refunded' : 'partially_refunded', note);
+        return { status: 'refunded', refundId };
+    } catch (refundError) {
+        console.error(`⚠️ Refund failed for order ${payment.order_id}:`, refundError.message);
+        // Hand the claim back; partial refunds are retried by the caller, so the payment stays captured
+        await supabase
+            .from('payments')
+            .update(isFullRefund ? { refunded_amount: alreadyRefunded, status: 'refund_pending' } : { refunded_amount: alreadyRefunded })
+            .eq('id', payment.id)
+            .eq('refunded_amount', refundedTotal);
+        return { status: 'refund_pending' };
+    }
+}
+
+// refundPayment for an order's captured payment.
+// Resolves to { status: 'refunded' | 'refund_pending' | 'not_required', refundId? }.
+async function refundOrderPayment(orderId, note, amount) {
+    const { data: payment, error } = await supabase
+        .from('payments')
+        .select('*')
+        .eq('order_id', orderId)
+        .eq('status', 'captured')
+        .maybeSingle();
+    if (error) throw error;
+    if (!payment) return { status: 'not_required' };
+    return refundPayment(payment, note, amount);
+}
+
+// GET /store/orders?page=1&limit=10
+// Abandoned checkouts (expired) are left out of the history.
+app.get('/store/orders', requireUser, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const from = (page - 1) * limit;
+
+    try {
+        const { data: orders, count, error } = await supabase
+            .from('orders')
+            .select('id, status, subtotal, tax, shipping, total, currency, created_at, paid_at, order_items(*)', { count: 'exact' })
+            .eq('user_id', req.user.id)
+            .neq('status', 'expired')
+            .order('created_at', { ascending: false })
+            .range(from, from + limit - 1);
+        if (error) throw error;
+
+        const { data: paidOrders, error: statsError } = await supabase
+            .from('orders')
+            .select('total')
+            .eq('user_id', req.user.id)
+            .in('status', PAID_STATUSES);
+        if (statsError) throw statsError;
+
+        res.status(200).json({
+            orders: orders.map(({ order_items: items, ...order }) => ({ ...order, items })),
+            pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) },
+            stats: {
+                totalOrders: paidOrders.length,
+                totalSpent: roundMoney(paidOrders.reduce((sum, order) => sum + Number(order.total), 0))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /store/orders/:id
+app.get('/store/orders/:id', requireUser, async (req, res) => {
+    try {
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select(`
+                *,
+                order_items(*, products(price, product_variants(size, stock, price)), edition_serials(id, product_id, serial, edition_size)),
+                order_status_history(status, note, created_at),
+                payments(provider, status, amount, created_at),
+                returns(*, return_items(*))
+            `)
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+
+        const { order_items: orderItems, order_status_history: history = [], payments = [], returns = [], ...details } = order;
+        // Sizes in stock at the same price are offered when the customer asks to exchange a line
+        const items = orderItems.map(({ products: product, edition_serials: serials, ...item }) => ({
+            ...item,
+            edition: toEditionResponse(serials),
+            exchangeSizes: exchangeableVariants(product, item)
+                .filter(variant => variant.stock > 0)
+                .map(variant => variant.size)
+        }));
+        const byDate = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+        const latestPayment = [...payments].sort(byDate).pop();
+
+        res.status(200).json({
+            order: {
+                ...details,
+                items,
+                paymentStatus: latestPayment?.status ?? 'unpaid',
+                history: [...history].sort(byDate),
+                cancellation: getCancellationState(details),
+                returnWindow: getReturnWindow(details),
+                returns: [...returns].sort(byDate)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /store/orders/:id/cancel
+app.post('/store/orders/:id/cancel', requireUser, async (req, res) => {
+    try {
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('id, status, created_at')
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+
+        const { canCancel, reason } = getCancellationState(order);
+        if (!canCancel) return res.status(409).json({ error: reason });
+
+        // Conditional on the status we just checked, so a concurrent ship or cancel wins cleanly
+        const cancelled = await releaseOrderStock(order.id, order.status, 'cancelled', {
+            changes: { cancelled_at: new Date().toISOString() },
+            note: 'Cancelled by customer'
+        });
+        if (!cancelled) return res.status(409).json({ error: 'Order status changed, please refresh and try again' });
+
+        const refund = await refundOrderPayment(order.id, 'Refund issued for cancelled order');
+        res.status(200).json({ success: true, status: 'cancelled', refundStatus: refund.status });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- RETURN ROUTES ---
+// ===================================
+
+// Terms: 30-day return window from the delivery date
+const RETURN_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const RETURN_REASONS = ['wrong_size', 'damaged', 'not_as_described', 'changed_mind', 'other'];
+
+// Lifecycle of a return (RMA); each admin action moves it along one edge
+const RETURN_ACTIONS = {
+    approve: { from: ['requested'], to: 'approved' },
+    reject: { from: ['requested'], to: 'rejected' },
+    receive: { from: ['approved'], to: 'received' },
+    refund: { from: ['received'], to: 'refunded' },
+    exchange: { from: ['received'], to: 'exchanged' }
+};
+
+function getReturnWindow(order) {
+    if (order.status !== 'delivered' || !order.delivered_at) {
+        return { eligible: false, reason: 'Returns open once your order is delivered' };
+    }
+    const deadline = new Date(new Date(order.delivered_at).getTime() + RETURN_WINDOW_MS);
+    if (Date.now() > deadline.getTime()) {
+        return { eligible: false, reason: 'The 30-day return window has passed', deadline: deadline.toISOString() };
+    }
+    return { eligible: true, deadline: deadline.toISOString() };
+}
+
+// Other sizes of an ordered print that sell at the price paid, so an exchange needs no top-up or refund
+function exchangeableVariants(product, orderItem) {
+    return (product?.product_variants || []).filter(variant => variant.size !== orderItem.size
+        && Number(variant.price ?? product.price) === Number(orderItem.unit_price));
+}
+
+// Refund owed for returned lines: what was paid for them, net of discounts and including their GST.
+// Original shipping is non-refundable.
+function calculateReturnRefund(order, returnItems, orderItemsById) {
+    let refund = 0;
+    for (const item of returnItems.filter(returned => !returned.exchange_size)) {
+        const line = orderItemsById.get(String(item.order_item_id));
+        const net = Number(line.unit_price) * line.quantity - Number(line.discount_amount || 0);
+        const tax = line.tax_amount ?? (Number(order.subtotal) ? net * Number(order.tax) / Number(order.subtotal) : 0);
+        refund += (net + Number(tax)) * item.quantity / line.quantity;
+    }
+    return roundMoney(refund);
+}
+
+// POST /store/orders/:id/returns
+// Body: { items: [{ orderItemId, quantity, exchangeSize? }], reason, notes?, conditionConfirmed }
+app.post('/store/orders/:id/returns', requireUser, async (req, res) => {
+    const { items, reason, notes, conditionConfirmed } = req.body || {};
+
+    const fields = {};
+    if (!Array.isArray(items) || items.length === 0) fields.items = 'Select at least one item to return';
+    if (!RETURN_REASONS.includes(reason)) fields.reason = 'Select a reason for the return';
+    if (conditionConfirmed !== true) fields.conditionConfirmed = 'Items must be unworn, unwashed and in original condition';
+    if (Object.keys(fields).length) return res.status(400).json({ error: 'Invalid return request', fields });
+
+    try {
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('*, order_items(*, products(price, product_variants(size, price))), returns(status, return_items(order_item_id, quantity))')
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+
+        const returnWindow = getReturnWindow(order);
+        if (!returnWindow.eligible) return res.status(409).json({ error: returnWindow.reason });
+
+        // Units already tied up in other open or completed returns can't be returned again
+        const alreadyReturned = new Map();
+        order.returns
+            .filter(existing => existing.status !== 'rejected')
+            .flatMap(existing => existing.return_items)
+            .forEach(item => {
+                const key = String(item.order_item_id);
+                alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+            });
+
+        const orderItemsById = new Map(order.order_items.map(item => [String(item.id), item]));
+        const lineErrors = [];
+        const returnItems = items.map((item, index) => {
+            const orderItem = orderItemsById.get(String(item?.orderItemId));
+            const quantity = Number(item?.quantity);
+            if (!orderItem) {
+                lineErrors.push({ index, message: 'Item is not part of this order' });
+                return null;
+            }
+            const returnable = orderItem.quantity - (alreadyReturned.get(String(orderItem.id)) || 0);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+                lineErrors.push({ index, message: `You can return up to ${returnable} of this item` });
+                return null;
+            }
+            const sizes = exchangeableVariants(orderItem.products, orderItem).map(variant => variant.size);
+            if (item.exchangeSize && !sizes.includes(item.exchangeSize)) {
+                lineErrors.push({ index, message: 'Choose a different available size to exchange for' });
+                return null;
+            }
+            return { order_item_id: orderItem.id, quantity, exchange_size: item.exchangeSize || null };
+        });
+        if (lineErrors.length) return res.status(400).json({ error: 'Invalid return request', lines: lineErrors });
+
+        const { data: created, error: returnError } = await supabase
+            .from('returns')
+            .insert({
+                order_id: order.id,
+                user_id: req.user.id,
+                status: 'requested',
+                reason,
+                notes: notes || null,
+                refund_amount: calculateReturnRefund(order, returnItems, orderItemsById)
+            })
+            .select()
+            .single();
+        if (returnError) throw returnError;
+
+        const { data: savedItems, error: itemsError } = await supabase
+            .from('return_items')
+            .insert(returnItems.map(item => ({ ...item, return_id: created.id })))
+            .select();
+        if (itemsError) {
+            await supabase.from('returns').delete().eq('id', created.id);
+            throw itemsError;
+        }
+
+        res.status(201).json({ success: true, return: { ...created, return_items: savedItems } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /store/returns
+app.get('/store/returns', requireUser, async (req, res) => {
+    const { data, error } = await supabase
+        .from('returns')
+        .select('*, return_items(*, order_items(product_name, size, unit_price))')
+        .eq('user_id', req.user.id)
+        .order('created_at', { ascending: false });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ returns: data });
+});
+
+// GET /admin/returns?status=requested
+app.get('/admin/returns', requireAdmin, async (req, res) => {
+    let query = supabase
+        .from('returns')
+        .select('*, return_items(*, order_items(product_name, size, unit_price, product_id)), users(name, email)')
+        .order('created_at', { ascending: false });
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ returns: data });
+});
+
+// POST /admin/returns/:id/:action  (approve | reject | receive | refund | exchange)
+app.post('/admin/returns/:id/:action', requireAdmin, async (req, res) => {
+    const action = RETURN_ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ error: 'Unknown return action' });
+
+    try {
+        const { data: rma, error } = await supabase
+            .from('returns')
+            .select('*, return_items(*, order_items(product_id, variant_id, size))')
+            .eq('id', req.params.id)
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!rma) return res.status(404).json({ error: 'Return not found' });
+        if (!action.from.includes(rma.status)) {
+            return res.status(409).json({ error: `Cannot ${req.params.action} a return that is ${rma.status}` });
+        }
+
+        // Claim the transition first so a double-click can't restock or refund twice
+        const { data: claimed, error: claimError } = await supabase
+            .from('returns')
+            .update({ status: action.to, admin_notes: req.body?.notes ?? rma.admin_notes ?? null })
+            .eq('id', rma.id)
+            .eq('status', rma.status)
+            .select()
+            .maybeSingle();
+        if (claimError) throw claimError;
+        if (!claimed) return res.status(409).json({ error: 'Return status changed, please refresh and try again' });
+
+        const revert = async () => {
+            await supabase.from('returns').update({ status: rma.status }).eq('id', rma.id).eq('status', action.to);
+        };
+
+        try {
+            const changes = await applyReturnAction(req.params.action, rma);
+            if (changes.error) {
+                await revert();
+                return res.status(409).json(changes.error);
+            }
+            if (!Object.keys(changes).length) return res.status(200).json({ success: true, return: claimed });
+
+            const { data: updated, error: updateError } = await supabase
+                .from('returns')
+                .update(changes)
+                .eq('id', rma.id)
+                .select()
+                .single();
+            if (updateError) throw updateError;
+            res.status(200).json({ success: true, return: updated });
+        } catch (actionError) {
+            await revert();
+            throw actionError;
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Side effects of a return action. Resolves to the extra columns to save,
+// or { error } when the action can't go ahead and the status should be reverted.
+async function applyReturnAction(action, rma) {
+    const refundNote = `Refund for return ${rma.id}`;
+
+    if (action === 'receive') {
+        // Returned units go back on the shelf
+        await restoreStock(rma.return_items.map(item => ({
+            variant_id: item.order_items.variant_id,
+            quantity: item.quantity
+        })));
+        return { received_at: new Date().toISOString() };
+    }
+
+    if (action === 'refund') {
+        if (rma.return_items.some(item => item.exchange_size)) {
+            return { error: { error: 'This return includes exchanges; complete it with the exchange action' } };
+        }
+        const refund = await refundOrderPayment(rma.order_id, refundNote, Number(rma.refund_amount));
+        if (refund.status === 'refund_pending') {
+            return { error: { error: 'The payment provider rejected the refund, please try again' } };
+        }
+        return { refund_id: refund.refundId ?? null, refunded_at: new Date().toISOString() };
+    }
+
+    if (action === 'exchange') {
+        // Take stock for the replacement sizes; any line that can't be filled aborts the exchange
+        const { data: variants, error } = await supabase
+            .from('product_variants')
+            .select('id, product_id, size')
+            .in('product_id', rma.return_items.map(item => item.order_items.product_id));
+        if (error) throw error;
+
+        const replacements = rma.return_items.filter(item => item.exchange_size).map((item, index) => ({
+            index,
+            product_id: item.order_items.product_id,
+            size: item.exchange_size,
+            quantity: item.quantity,
+            variant_id: variants.find(variant =>
+                String(variant.product_id) === String(item.order_items.product_id) && variant.size === item.exchange_size
+            )?.id
+        }));
+        // reserveStock skips untracked lines, which would ship a replacement nobody took stock for
+        const unknownSizes = replacements.filter(line => !line.variant_id);
+        if (unknownSizes.length) {
+            return { error: { error: `No longer stocked in ${unknownSizes.map(line => line.size).join(', ')}; refund these lines instead` } };
+        }
+        const { shortages } = await reserveStock(replacements);
+        if (shortages.length) return { error: { error: 'Replacement sizes are out of stock', lines: shortages } };
+
+        // Lines without an exchange size in a mixed return are refunded alongside; if that
+        // doesn't go through, the replacements go back on the shelf and the exchange can be retried
+        if (Number(rma.refund_amount) > 0) {
+            let refund;
+            try {
+                refund = await refundOrderPayment(rma.order_id, refundNote, Number(rma.refund_amount));
+            } catch (refundError) {
+                await restoreStock(replacements);
+                throw refundError;
+            }
+            if (refund.status === 'refund_pending') {
+                await restoreStock(replacements);
+                return { error: { error: 'The payment provider rejected the refund, please try again' } };
+            }
+            if (refund.status === 'refunded') {
+                return { refund_id: refund.refundId ?? null, refunded_at: new Date().toISOString() };
+            }
+        }
+    }
+
+    return {};
+}
+
+// ===================================
+// --- CERTIFICATE ROUTES ---
+// ===================================
+// Certificates of authenticity for numbered units (see certificates.js). Owners print theirs from
+// the order page; anyone holding a code can check it at /verify/:code.
+
+// The certificate behind a code, or null when the code is malformed, forged or no longer allocated
+async function loadCertificate(code) {
+    const parsed = parseCertificateCode(code);
+    const secret = getCertificateSecret();
+    if (!parsed || !secret) return null;
+
+    const { data: row, error } = await supabase
+        .from('edition_serials')
+        .select('id, product_id, serial, edition_size, created_at, products(id, name, images), order_items(size), orders(id, status, paid_at, user_id, shipping_address, users(name))')
+        .eq('id', parsed.id)
+        .maybeSingle();
+    if (error && error.code !== '22P02') throw error;
+    if (!row || !certificateSignatureMatches(row, parsed.signature, secret)) return null;
+    if (!PAID_STATUSES.includes(row.orders?.status)) return null;
+
+    const address = row.orders.shipping_address || {};
+    return {
+        code: signCertificateCode(row, secret),
+        userId: row.orders.user_id,
+        product: { id: row.products.id, name: row.products.name, image: row.products.images?.[0] || null },
+        size: row.order_items?.size ?? null,
+        serial: row.serial,
+        editionSize: row.edition_size,
+        owner: row.orders.users?.name || [address.firstName, address.lastName].filter(Boolean).join(' ') || null,
+        issuedAt: row.orders.paid_at || row.created_at
+    };
+}
+
+// GET /store/certificates/:code
+// The full certificate for printing; only the customer who bought the piece can open it
+app.get('/store/certificates/:code', requireUser, async (req, res) => {
+    try {
+        const certificate = await loadCertificate(req.params.code);
+        if (!certificate || certificate.userId !== req.user.id) return res.status(404).json({ error: 'Certificate not found' });
+
+        const { userId, ...details } = certificate;
+        res.json({ certificate: details });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/verify/:code
+// Public check behind the /verify/:code page; the owner is shown as "Aarav S."
+app.get('/api/verify/:code', async (req, res) => {
+    try {
+        const certificate = await loadCertificate(req.params.code);
+        if (!certificate) return res.status(404).json({ valid: false, error: 'This code does not match a BRKN certificate' });
+
+        const { userId, owner, ...details } = certificate;
+        res.json({ valid: true, certificate: { ...details, owner: maskOwnerName(owner) } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ADMIN ORDER ROUTES ---
+// ===================================
+
+const ORDER_STATUSES = ['pending', 'paid', 'packed', 'shipped', 'delivered', 'cancelled', 'expired'];
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Fulfilment moves an order one step at a time; `stamp` records when the step was reached
+const ADMIN_ORDER_TRANSITIONS = {
+    packed: { from: ['paid'] },
+    shipped: { from: ['packed'] },
+    delivered: { from: ['shipped'], stamp: 'delivered_at' },
+    cancelled: { from: ['pending', 'paid', 'packed'], stamp: 'cancelled_at' }
+};
+
+// GET /admin/orders?status=paid&q=email-or-order-id&page=1&limit=20
+app.get('/admin/orders', requireAdmin, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const from = (page - 1) * limit;
+    const search = String(req.query.q || '').trim().replace(/[,()%]/g, '');
+
+    try {
+        let query = supabase
+            .from('orders')
+            .select('id, status, email, total, currency, created_at, paid_at, delivered_at, shipping_address, shipping_method, order_items(product_name, size, quantity)', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(from, from + limit - 1);
+        if (req.query.status) query = query.eq('status', req.query.status);
+        if (search) {
+            query = UUID_PATTERN.test(search)
+                ? query.eq('id', search)
+                : query.ilike('email', `%${search}%`);
+        }
+
+        // The page and the counts for the status filter tabs are fetched together
+        const [{ data: orders, count, error }, ...countResults] = await Promise.all([
+            query,
+            ...ORDER_STATUSES.map(status => supabase
+                .from('orders')
+                .select('id', { count: 'exact', head: true })
+                .eq('status', status))
+        ]);
+        if (error) throw error;
+
+        const statusCounts = {};
+        for (const [index, status] of ORDER_STATUSES.entries()) {
+            if (countResults[index].error) throw countResults[index].error;
+            statusCounts[status] = countResults[index].count;
+        }
+
+        res.json({
+            orders,
+            statusCounts,
+            pagination: { page, limit, total: count, totalPages: Math.max(1, Math.ceil(count / limit)) }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /admin/orders/:id
+app.get('/admin/orders/:id', requireAdmin, async (req, res) => {
+    try {
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('*, order_items(*, edition_serials(id, product_id, serial, edition_size)), order_status_history(status, note, created_at), payments(*), users(name, email, phone)')
+            .eq('id', req.params.id)
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+
+        const { order_status_history: history = [], order_items: orderItems = [], ...details } = order;
+        res.json({
+            order: {
+                ...details,
+                order_items: orderItems.map(({ edition_serials: serials, ...item }) => ({ ...item, edition: toEditionResponse(serials) })),
+                history: history.sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+                nextStatuses: Object.keys(ADMIN_ORDER_TRANSITIONS)
+                    .filter(status => ADMIN_ORDER_TRANSITIONS[status].from.includes(order.status))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /admin/orders/:id/status
+// Body: { status: 'packed' | 'shipped' | 'delivered' | 'cancelled', note?, carrier?, trackingNumber? }
+// Cancelling hands the stock back and refunds any captured payment. carrier and trackingNumber
+// are saved with the shipped step and shown on the customer's order page.
+app.post('/admin/orders/:id/status', requireAdmin, async (req, res) => {
+    const { status, note } = req.body || {};
+    const transition = ADMIN_ORDER_TRANSITIONS[status];
+    if (!transition) {
+        return res.status(400).json({ error: `Status must be one of ${Object.keys(ADMIN_ORDER_TRANSITIONS).join(', ')}` });
+    }
+
+    const tracking = {};
+    const fields = {};
+    for (const [field, column] of [['carrier', 'carrier'], ['trackingNumber', 'tracking_number']]) {
+        const value = req.body?.[field];
+        if (value === undefined || value === null || value === '') continue;
+        if (status !== 'shipped') fields[field] = 'Only saved when marking an order shipped';
+        else if (typeof value !== 'string' || value.trim().length > 100) fields[field] = 'Must be 100 characters or fewer';
+        else tracking[column] = value.trim();
+    }
+    if (Object.keys(fields).length) return res.status(400).json({ error: 'Invalid tracking details', fields });
+
+    try {
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('id, status')
+            .eq('id', req.params.id)
+            .maybeSingle();
+        if (error && error.code !== '22P02') throw error;
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        if (!transition.from.includes(order.status)) {
+            return res.status(409).json({ error: `Cannot mark a ${order.status} order as ${status}` });
+        }
+
+        const options = {
+            changes: { ...tracking, ...(transition.stamp ? { [transition.stamp]: new Date().toISOString() } : {}) },
+            note: note || `Marked ${status} by ${req.user.name || req.user.email}`
+        };
+        // Conditional on the status we just checked, so two admins can't both move the order
+        const updated = status === 'cancelled'
+            ? await releaseOrderStock(order.id, order.status, status, options)
+            : await transitionOrder(order.id, order.status, status, options);
+        if (!updated) return res.status(409).json({ error: 'Order status changed, please refresh and try again' });
+
+        const refund = status === 'cancelled'
+            ? await refundOrderPayment(order.id, 'Refund issued for cancelled order')
+            : { status: 'not_required' };
+        res.json({ success: true, order: updated, refundStatus: refund.status });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /admin/inventory/low-stock?threshold=5
+// Sizes of draft and active products at or below the threshold, emptiest first
+app.get('/admin/inventory/low-stock', requireAdmin, async (req, res) => {
+    const threshold = parseInt(req.query.threshold, 10);
+    const limit = Number.isInteger(threshold) && threshold >= 0 ? threshold : LOW_STOCK_THRESHOLD;
+
+    const { data, error } = await supabase
+        .from('product_variants')
+        .select('id, size, sku, stock, products!inner(id, name, status)')
+        .lte('stock', limit)
+        .neq('products.status', 'archived')
+        .order('stock', { ascending: true });
+    if (error) return res.status(500).json({ error: error.message });
+
+    res.json({
+        threshold: limit,
+        variants: data.map(({ products: product, ...variant }) => ({ ...variant, product }))
+    });
+});
+
+// ===================================
+// --- COUPON ADMIN ROUTES ---
+// ===================================
+
+// GET /admin/coupons
+app.get('/admin/coupons', requireAdmin, async (req, res) => {
+    const { data, error } = await supabase
+        .from('coupons')
+        .select('*')
+        .order('created_at', { ascending: false });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ coupons: data });
+});
+
+// POST /admin/coupons
+// Body: { code, type, value, minOrderValue?, productIds?, collectionIds?, maxUses?, maxUsesPerUser?, startsAt?, endsAt?, active? }
+app.post('/admin/coupons', requireAdmin, async (req, res) => {
+    const parsed = parseCouponBody(req.body);
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid coupon', fields: parsed.errors });
+
+    const { data, error } = await supabase
+        .from('coupons')
+        .insert({ active: true, ...parsed.values, times_used: 0 })
+        .select()
+        .single();
+    if (error?.code === '23505') return res.status(409).json({ error: 'Invalid coupon', fields: { code: 'This code already exists' } });
+    if (error) return res.status(500).json({ error: error.message });
+    res.status(201).json({ coupon: data });
+});
+
+// PUT /admin/coupons/:id
+app.put('/admin/coupons/:id', requireAdmin, async (req, res) => {
+    const parsed = parseCouponBody(req.body, { partial: true });
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid coupon', fields: parsed.errors });
+
+    const { data, error } = await supabase
+        .from('coupons')
+        .update(parsed.values)
+        .eq('id', req.params.id)
+        .select()
+        .maybeSingle();
+    if (error?.code === '23505') return res.status(409).json({ error: 'Invalid coupon', fields: { code: 'This code already exists' } });
+    if (error && error.code !== '22P02') return res.status(500).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Coupon not found' });
+    res.json({ coupon: data });
+});
+
+// ===================================
+// --- CHECKOUT ROUTES ---
+// ===================================
+// Order creation holds stock and estimates shipping for a domestic address; these steps then
+// attach the real address, offer the shipping options for it and re-price the order accordingly.
+
+// The totals every checkout step shows
+function toCheckoutSummary(order) {
+    return {
+        id: order.id,
+        items: order.order_items,
+        subtotal: order.subtotal,
+        discount: order.discount,
+        coupon: order.discount_details,
+        tax: order.tax,
+        taxBreakdown: order.tax_breakdown,
+        shipping: order.shipping,
+        shippingMethod: order.shipping_method,
+        total: order.total
+    };
+}
+
+// Order lines with the weights the shipping engine prices by
+async function loadShippingLines(order) {
+    const variantIds = order.order_items.map(item => item.variant_id).filter(Boolean);
+    let weights = new Map();
+    if (variantIds.length) {
+        const { data, error } = await supabase.from('product_variants').select('id, weight_grams').in('id', variantIds);
+        if (error) throw error;
+        weights = new Map(data.map(variant => [variant.id, variant.weight_grams]));
+    }
+    return order.order_items.map(item => ({ ...item, weight_grams: weights.get(item.variant_id) ?? null }));
+}
+
+// Loads a pending order for the checkout steps, or sends the error response and returns null
+async function findCheckoutOrder(req, res, orderId) {
+    if (!orderId) {
+        res.status(400).json({ error: 'orderId is required' });
+        return null;
+    }
+    const order = await findPayableOrder(req, orderId);
+    if (!order) {
+        res.status(404).json({ error: 'Order not found' });
+        return null;
+    }
+    if (order.status !== 'pending') {
+        res.status(409).json({ error: `Order is ${order.status}`, status: order.status });
+        return null;
+    }
+    return order;
+}
+
+// POST /api/checkout/address
+// Body: { orderId, address: {...}, saveAddress? }
+// Attaches the shipping address and returns the shipping options it qualifies for, cheapest selected.
+app.post('/api/checkout/address', async (req, res) => {
+    const { orderId, address, saveAddress } = req.body || {};
+    const parsed = parseAddressBody(address || {});
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid address', fields: parsed.errors });
+
+    try {
+        const order = await findCheckoutOrder(req, res, orderId);
+        if (!order) return;
+
+        // Stored in the same camelCase shape the address book API uses
+        const { id, isDefault, ...shippingAddress } = toAddressResponse(parsed.values);
+
+        let shippingOptions = getShippingOptions(await loadShippingLines(order), shippingAddress);
+        if (order.discount_details?.freeShipping) shippingOptions = applyFreeShipping(shippingOptions);
+        if (!shippingOptions.length) {
+            return res.status(422).json({ error: 'We do not ship to this address yet', fields: { country: 'Not deliverable' } });
+        }
+        const [shippingMethod] = shippingOptions;
+
+        const updated = await requoteOrder(order, shippingAddress, {
+            shipping_address: shippingAddress,
+            email: order.email ?? (shippingAddress.email || null),
+            shipping_options: shippingOptions,
+            shipping_method: shippingMethod,
+            shipping: shippingMethod.price
+        });
+
+        // Logged-in customers can keep the address for next time
+        let addressId = null;
+        const profile = saveAddress ? await getSessionProfile(req) : null;
+        if (profile) {
+            try {
+                addressId = (await createAddress(profile.id, parsed.values)).id;
+            } catch (error) {
+                // The order already has the address; the address book is a convenience
+                console.warn(`Could not save address for user ${profile.id}:`, error.message);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            addressId,
+            shippingOptions,
+            selectedOption: shippingMethod.id,
+            order: toCheckoutSummary(updated)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/checkout/shipping
+// Body: { orderId, optionId } — picks one of the options offered for the order's address
+app.post('/api/checkout/shipping', async (req, res) => {
+    const { orderId, optionId } = req.body || {};
+
+    try {
+        const order = await findCheckoutOrder(req, res, orderId);
+        if (!order) return;
+        if (!order.shipping_address) {
+            return res.status(409).json({ error: 'Add a shipping address first' });
+        }
+
+        const shippingMethod = (order.shipping_options || []).find(option => option.id === optionId);
+        if (!shippingMethod) return res.status(400).json({ error: 'Shipping option is not available for this address' });
+
+        const updated = await requoteOrder(order, order.shipping_address, {
+            shipping_method: shippingMethod,
+            shipping: shippingMethod.price
+        });
+        res.status(200).json({ success: true, shippingMethod, order: toCheckoutSummary(updated) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- PAYMENT ROUTES ---
+// ===================================
+
+// Loads an order the caller may pay for: guest orders are open, account orders need the owner's session
+async function findPayableOrder(req, orderId) {
+    const { data: order, error } = await supabase
+        .from('orders')
+        .select('*, order_items(*)')
+        .eq('id', orderId)
+        .maybeSingle();
+    if (error && error.code !== '22P02') throw error;
+    if (!order) return null;
+
+    if (order.user_id) {
+        const profile = await getSessionProfile(req);
+        if (order.user_id !== profile?.id) return null;
+    }
+    return order;
+}
+
+// Payment rows a confirmation may capture. 'void' intents were replaced by a newer one, but a
+// customer can still pay one from an old tab; the money then comes back through needs_attention.
+const CAPTURABLE_PAYMENT_STATUSES = ['created', 'failed', 'void'];
+
+// Records a confirmed payment and moves its order from pending to paid (safe to call more than once:
+// repeat confirmations of a captured payment change nothing, and refunded payments stay refunded).
+// The order is only marked paid while its total still equals the amount captured, so a re-quote
+// after the intent was created can't be settled by the old amount.
+// Returns { orderId, status }: 'paid', 'refunded' for a payment already handed back, or
+// 'needs_attention' when the money arrived for an order that has expired, been cancelled, changed
+// total or was already paid. Those payments are refunded straight away and noted on the order.
+async function markPaymentCaptured(providerOrderId, paymentId) {
+    const { data: captured, error } = await supabase
+        .from('payments')
+        .update({ status: 'captured', provider_payment_id: paymentId })
+        .eq('provider_order_id', providerOrderId)
+        .in('status', CAPTURABLE_PAYMENT_STATUSES)
+        .select('*')
+        .maybeSingle();
+    if (error) throw error;
+
+    let payment = captured;
+    if (!payment) {
+        const { data: existing, error: existingError } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('provider_order_id', providerOrderId)
+            .maybeSingle();
+        if (existingError) throw existingError;
+        if (!existing) throw new Error(`No payment found for ${providerOrderId}`);
+        if (existing.status !== 'captured') return { orderId: existing.order_id, status: 'refunded' };
+        payment = existing;
+    }
+
+    const paidOrder = await transitionOrder(payment.order_id, 'pending', 'paid', {
+        changes: { paid_at: new Date().toISOString() },
+        note: 'Payment received',
+        match: { total: payment.amount }
+    });
+
+    if (!paidOrder) {
+        const { data: order, error: orderError } = await supabase
+            .from('orders')
+            .select('status, total')
+            .eq('id', payment.order_id)
+            .single();
+        if (orderError) throw orderError;
+
+        let problem = null;
+        if (order.status === 'pending') {
+            problem = `₹${payment.amount} was paid against an order total of ₹${order.total}`;
+        } else if (!PAID_STATUSES.includes(order.status)) {
+            problem = `the payment arrived after the order was ${order.status}`;
+        } else if (captured) {
+            // A first capture for an order that is already paid means a second intent was paid too
+            const { data: others, error: othersError } = await supabase
+                .from('payments')
+                .select('id')
+                .eq('order_id', payment.order_id)
+                .eq('status', 'captured')
+                .neq('id', payment.id);
+            if (othersError) throw othersError;
+            if (others.length) problem = 'the order had already been paid';
+        }
+
+        if (problem) {
+            // Only the call that captured the payment refunds it, so retries can't refund twice
+            if (captured) {
+                const refund = await refundPayment(payment, `Refund for payment ${paymentId}: ${problem}`);
+                console.error(`⚠️ Payment ${paymentId} for order ${payment.order_id} needs attention: ${problem}; refund ${refund.status}`);
+                await recordStatusChange(payment.order_id, 'needs_attention', refund.status === 'refunded'
+                    ? `Payment ${paymentId}: ${problem}. Refunded automatically.`
+                    : `Payment ${paymentId}: ${problem}. The automatic refund failed; refund it from the payment dashboard.`);
+            }
+            return { orderId: payment.order_id, status: 'needs_attention' };
+        }
+    }
+    // Also on repeat confirmations, which finish numbering a run that failed part way
+    await allocateEditionSerials(payment.order_id);
+    return { orderId: payment.order_id, status: 'paid' };
+}
+
+// Hands back the order's open intent while it is still for the order total, so revisiting the
+// payment page doesn't leave several payable intents behind. When the total has changed the old
+// intents are voided and a new one is created.
+async function openPaymentIntent(provider, order) {
+    const { data: open, error } = await supabase
+        .from('payments')
+        .select('id, provider, provider_order_id, amount')
+        .eq('order_id', order.id)
+        .eq('status', 'created')
+        .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    const reusable = open.find(payment => payment.provider === provider.name && Number(payment.amount) === Number(order.total));
+    if (reusable) {
+        return provider.resumeIntent({ providerOrderId: reusable.provider_order_id, amount: reusable.amount, currency: order.currency });
+    }
+
+    if (open.length) {
+        const { error: voidError } = await supabase
+            .from('payments')
+            .update({ status: 'void' })
+            .in('id', open.map(payment => payment.id))
+            .eq('status', 'created');
+        if (voidError) throw voidError;
+    }
+
+    const intent = await provider.createIntent({ orderId: order.id, amount: order.total, currency: order.currency });
+    const { error: paymentError } = await supabase.from('payments').insert({
+        order_id: order.id,
+        provider: provider.name,
+        provider_order_id: intent.providerOrderId,
+        amount: order.total,
+        currency: order.currency,
+        status: 'created'
+    });
+    if (paymentError) throw paymentError;
+    return intent;
+}
+
+// POST /api/payments/intent
+// The order must have been through /api/checkout/address so its total includes tax and shipping for the address
+app.post('/api/payments/intent', async (req, res) => {
+    const { orderId } = req.body || {};
+
+    try {
+        const order = await findCheckoutOrder(req, res, orderId);
+        if (!order) return;
+        if (!order.shipping_address || !order.shipping_method) {
+            return res.status(409).json({ error: 'Choose a shipping address and method first', step: 'address' });
+        }
+
+        // Paying can outlast what is left of the reservation, so the clock restarts here
+        const { data: held, error: holdError } = await supabase
+            .from('orders')
+            .update({ reserved_until: new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString() })
+            .eq('id', order.id)
+            .eq('status', 'pending')
+            .select('id');
+        if (holdError) throw holdError;
+        if (!held.length) return res.status(409).json({ error: 'Order is no longer pending' });
+
+        const provider = getPaymentProvider();
+        const intent = await openPaymentIntent(provider, order);
+
+        res.status(201).json({
+            provider: provider.name,
+            key: provider.publicKey,
+            ...intent,
+            order: toCheckoutSummary(order)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/payments/verify
+// Browser callback after the provider's checkout completes
+app.post('/api/payments/verify', async (req, res) => {
+    const { providerOrderId, paymentId, signature } = req.body || {};
+    if (!providerOrderId || !paymentId || !signature) {
+        return res.status(400).json({ error: 'providerOrderId, paymentId and signature are required' });
+    }
+
+    try {
+        if (!getPaymentProvider().verifyPayment({ providerOrderId, paymentId, signature })) {
+            return res.status(400).json({ error: 'Payment verification failed' });
+        }
+
+        const { orderId, status } = await markPaymentCaptured(providerOrderId, paymentId);
+        if (status !== 'paid') {
+            return res.status(409).json({
+                error: 'Your payment was received but the order could not be confirmed',
+                orderId,
+                status
+            });
+        }
+        res.status(200).json({ success: true, orderId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/payments/webhook
+// Server-to-server confirmation from the provider; covers customers who close the tab before the callback
+app.post('/api/payments/webhook', async (req, res) => {
+    let event;
+    try {
+        event = getPaymentProvider().parseWebhook(req);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        if (event.type === 'paid') {
+            await markPaymentCaptured(event.providerOrderId, event.paymentId);
+        } else if (event.type === 'failed') {
+            const { error } = await supabase
+                .from('payments')
+                .update({ status: 'failed', provider_payment_id: event.paymentId })
+                .eq('provider_order_id', event.providerOrderId)
+                .eq('status', 'created');
+            if (error) throw error;
+        }
+        res.status(200).json({ received: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- ADDRESS BOOK ROUTES ---
+// ===================================
+
+// API field -> addresses column
+const ADDRESS_FIELDS = {
+    firstName: 'first_name',
+    lastName: 'last_name',
+    email: 'email',
+    phone: 'phone',
+    address1: 'address1',
+    address2: 'address2',
+    city: 'city',
+    state: 'state',
+    zipCode: 'zip_code',
+    country: 'country'
+};
+const REQUIRED_ADDRESS_FIELDS = ['firstName', 'lastName', 'phone', 'address1', 'city', 'state', 'zipCode', 'country'];
+
+function toAddressResponse(row) {
+    const address = { id: row.id, isDefault: row.is_default };
+    for (const [field, column] of Object.entries(ADDRESS_FIELDS)) address[field] = row[column] ?? '';
+    return address;
+}
+
+// Maps a request body onto address columns. `partial` skips required checks for fields that were not sent.
+// Returns { values } or { errors } keyed by field name.
+function parseAddressBody(body = {}, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+
+    for (const [field, column] of Object.entries(ADDRESS_FIELDS)) {
+        if (!(field in body)) continue;
+        values[column] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+    for (const field of REQUIRED_ADDRESS_FIELDS) {
+        const column = ADDRESS_FIELDS[field];
+        if (partial && !(column in values)) continue;
+        if (!values[column]) errors[field] = 'This field is required';
+    }
+    if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+        errors.email = 'Please enter a valid email address';
+    }
+    if ('isDefault' in body) values.is_default = Boolean(body.isDefault);
+
+    return Object.keys(errors).length ? { errors } : { values };
+}
+
+// Only one default per user: clears the flag on every other address
+async function clearDefaultAddress(userId, keepId) {
+    let query = supabase.from('addresses').update({ is_default: false }).eq('user_id', userId).eq('is_default', true);
+    if (keepId) query = query.neq('id', keepId);
+    const { error } = await query;
+    if (error) throw error;
+}
+
+// Adds an address to a user's book; their first address becomes the default
+async function createAddress(userId, values) {
+    const { count, error: countError } = await supabase
+        .from('addresses')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+    if (countError) throw countError;
+
+    const isDefault = values.is_default || count === 0;
+    if (isDefault) await clearDefaultAddress(userId);
+
+    const { data, error } = await supabase
+        .from('addresses')
+        .insert({ ...values, user_id: userId, is_default: isDefault })
+        .select()
+        .single();
+    if (error) throw error;
+    return data;
+}
+
+// GET /api/user/addresses
+app.get('/api/user/addresses', requireUser, async (req, res) => {
+    const { data, error } = await supabase
+        .from('addresses')
+        .select('*')
+        .eq('user_id', req.user.id)
+        .order('is_default', { ascending: false })
+        .order('created_at', { ascending: false });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ addresses: data.map(toAddressResponse) });
+});
+
+// POST /api/user/addresses
+app.post('/api/user/addresses', requireUser, async (req, res) => {
+    const parsed = parseAddressBody(req.body);
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid address', fields: parsed.errors });
+
+    try {
+        const data = await createAddress(req.user.id, parsed.values);
+        res.status(201).json({ success: true, addressId: data.id, address: toAddressResponse(data) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/user/addresses/:id
+app.put('/api/user/addresses/:id', requireUser, async (req, res) => {
+    const parsed = parseAddressBody(req.body, { partial: true });
+    if (parsed.errors) return res.status(400).json({ error: 'Invalid address', fields: parsed.errors });
+
+    try {
+        // Check the address is the caller's before touching their other addresses
+        const { data: existing, error: existingError } = await supabase
+            .from('addresses')
+            .select('id')
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+        if (existingError && existingError.code !== '22P02') throw existingError;
+        if (!existing) return res.status(404).json({ error: 'Address not found' });
+
+        if (parsed.values.is_default) await clearDefaultAddress(req.user.id, existing.id);
+
+        const { data, error } = await supabase
+            .from('addresses')
+            .update(parsed.values)
+            .eq('id', existing.id)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Address not found' });
+
+        res.status(200).json({ success: true, address: toAddressResponse(data) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/user/addresses/:id
+app.delete('/api/user/addresses/:id', requireUser, async (req, res) => {
+    try {
+        const { data: deleted, error } = await supabase
+            .from('addresses')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        if (!deleted) return res.status(404).json({ error: 'Address not found' });
+
+        // Hand the default flag to the most recently added remaining address
+        if (deleted.is_default) {
+            const { data: next } = await supabase
+                .from('addresses')
+                .select('id')
+                .eq('user_id', req.user.id)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+            if (next) await supabase.from('addresses').update({ is_default: true }).eq('id', next.id);
+        }
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// --- SCHEDULED JOBS ---
+// ===================================
+
+// Route guard for cron endpoints; Vercel Cron sends the CRON_SECRET as a bearer token
+function requireCron(req, res, next) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// GET /api/cron/release-reservations
+app.get('/api/cron/release-reservations', requireCron, async (req, res) => {
+    try {
+        const released = await releaseExpiredReservations();
+        res.status(200).json({ success: true, released });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/cron/notifications
+// Back-in-stock and drop emails for subscriptions that have become due
+app.get('/api/cron/notifications', requireCron, async (req, res) => {
+    try {
+        res.status(200).json({ success: true, ...await sendDueNotifications() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// --- Start Server ---
+const PORT = process.env.PORT || 3000;
+if (process.env.NODE_ENV !== 'production') {
+    app.listen(PORT, () => {
+        console.log(`🚀 Local backend running on http://localhost:${PORT}`);
+    });
+
+    // No cron outside Vercel, so run the scheduled jobs from the dev server
+    setInterval(() => {
+        releaseExpiredReservations().catch(error => console.error('Reservation sweep failed:', error.message));
+        sendDueNotifications().catch(error => console.error('Notification run failed:', error.message));
+    }, 60 * 1000);
 }
 
 export default app;
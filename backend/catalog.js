@@ -0,0 +1,204 @@
+// --- Catalogue Validation ---
+// Maps admin request bodies onto products/product_variants/collections columns.
+// Each parser returns { values } or { errors } keyed by field name; variant errors are keyed
+// by their position in the request, e.g. 'variants[1].sku'.
+
+export const PRODUCT_STATUSES = ['draft', 'active', 'archived'];
+
+// Highest GST slab; rates are stored as fractions (0.18 = 18%)
+const MAX_TAX_RATE = 0.28;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+function parseMoney(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number * 100) / 100 : null;
+}
+
+function parseCount(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+// Where a product or collection sits in its publish window: 'scheduled' before publish_at,
+// 'ended' from unpublish_at on and 'live' in between. Blank timestamps leave that side open.
+export function publicationState(row, now = new Date()) {
+    if (row.unpublish_at && new Date(row.unpublish_at) <= now) return 'ended';
+    if (row.publish_at && new Date(row.publish_at) > now) return 'scheduled';
+    return 'live';
+}
+
+// publishAt / unpublishAt -> publish_at / unpublish_at as ISO timestamps (null clears them).
+// An update that sends only one of the two can't be checked against the stored other one here.
+function parsePublishWindow(body, values, errors) {
+    for (const [field, column] of [['publishAt', 'publish_at'], ['unpublishAt', 'unpublish_at']]) {
+        if (!(field in body)) continue;
+        const date = isBlank(body[field]) ? null : new Date(body[field]);
+        if (date && Number.isNaN(date.getTime())) errors[field] = 'Enter a valid date and time';
+        else values[column] = date ? date.toISOString() : null;
+    }
+    if (values.publish_at && values.unpublish_at && values.unpublish_at <= values.publish_at) {
+        errors.unpublishAt = 'Must be after the publish date';
+    }
+}
+
+// `partial` skips required checks for fields that were not sent (updates)
+export function parseProductBody(body = {}, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+    const has = (field) => field in body;
+
+    if (has('name') || !partial) {
+        if (isBlank(body.name)) errors.name = 'This field is required';
+        else values.name = String(body.name).trim();
+    }
+    if (has('description')) values.description = isBlank(body.description) ? null : String(body.description).trim();
+
+    if (has('price') || !partial) {
+        const price = parseMoney(body.price);
+        if (isBlank(body.price) || price === null) errors.price = 'Enter a price of 0 or more';
+        else values.price = price;
+    }
+
+    if (has('status')) {
+        if (!PRODUCT_STATUSES.includes(body.status)) errors.status = `Must be one of ${PRODUCT_STATUSES.join(', ')}`;
+        else values.status = body.status;
+    } else if (!partial) {
+        values.status = 'draft';
+    }
+
+    parsePublishWindow(body, values, errors);
+
+    // Limited products number each unit sold out of this many; blank makes it an open edition
+    if (has('editionSize')) {
+        const editionSize = isBlank(body.editionSize) ? null : parseCount(body.editionSize);
+        if (!isBlank(body.editionSize) && !editionSize) errors.editionSize = 'Enter a whole number of 1 or more, or leave blank';
+        else values.edition_size = editionSize;
+    }
+
+    if (has('images')) {
+        if (!Array.isArray(body.images) || body.images.some(image => typeof image !== 'string' || isBlank(image))) {
+            errors.images = 'Must be a list of image URLs';
+        } else {
+            values.images = body.images.map(image => image.trim());
+        }
+    }
+
+    if (has('tags')) {
+        if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+            errors.tags = 'Must be a list of tags';
+        } else {
+            values.tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        }
+    }
+
+    if (has('hsnCode')) {
+        if (!isBlank(body.hsnCode) && !/^\d{4,8}$/.test(String(body.hsnCode).trim())) errors.hsnCode = 'HSN codes are 4-8 digits';
+        else values.hsn_code = isBlank(body.hsnCode) ? null : String(body.hsnCode).trim();
+    }
+    if (has('taxRate')) {
+        const rate = Number(body.taxRate);
+        if (isBlank(body.taxRate)) values.tax_rate = null;
+        else if (!Number.isFinite(rate) || rate < 0 || rate > MAX_TAX_RATE) errors.taxRate = 'Enter a rate between 0 and 0.28';
+        else values.tax_rate = rate;
+    }
+
+    return Object.keys(errors).length ? { errors } : { values };
+}
+
+// variants: [{ id?, size, sku?, price?, stock?, weightGrams? }] in display order.
+// A blank price means the variant sells at the product price.
+export function parseVariantsBody(variants) {
+    if (!Array.isArray(variants)) return { errors: { variants: 'Must be a list of sizes' } };
+
+    const values = [];
+    const errors = {};
+    const seenSizes = new Set();
+    const seenSkus = new Set();
+
+    variants.forEach((variant, index) => {
+        const key = (field) => `variants[${index}].${field}`;
+        const row = { position: index };
+        if (variant?.id !== undefined && variant?.id !== null) row.id = variant.id;
+
+        const size = isBlank(variant?.size) ? '' : String(variant.size).trim();
+        if (!size) errors[key('size')] = 'This field is required';
+        else if (seenSizes.has(size.toLowerCase())) errors[key('size')] = 'Each size can only be listed once';
+        seenSizes.add(size.toLowerCase());
+        row.size = size;
+
+        const sku = isBlank(variant?.sku) ? null : String(variant.sku).trim().toUpperCase();
+        if (sku && seenSkus.has(sku)) errors[key('sku')] = 'SKUs must be unique';
+        if (sku) seenSkus.add(sku);
+        row.sku = sku;
+
+        if (isBlank(variant?.price)) {
+            row.price = null;
+        } else {
+            row.price = parseMoney(variant.price);
+            if (row.price === null) errors[key('price')] = 'Enter a price of 0 or more, or leave blank';
+        }
+
+        row.stock = isBlank(variant?.stock) ? 0 : parseCount(variant.stock);
+        if (row.stock === null) errors[key('stock')] = 'Stock must be a whole number of 0 or more';
+
+        if (isBlank(variant?.weightGrams)) {
+            row.weight_grams = null;
+        } else {
+            row.weight_grams = parseCount(variant.weightGrams);
+            if (row.weight_grams === null) errors[key('weightGrams')] = 'Weight must be a whole number of grams';
+        }
+
+        values.push(row);
+    });
+
+    return Object.keys(errors).length ? { errors } : { values };
+}
+
+// "Limited Edition / Drop 03" -> "limited-edition-drop-03"
+export const slugify = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Body: { name, slug?, description?, position?, publishAt?, unpublishAt?, productIds? }. The slug defaults to one made
+// from the name; productIds is the complete, ordered list of products in the collection.
+export function parseCollectionBody(body = {}, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+    const has = (field) => field in body;
+
+    if (has('name') || !partial) {
+        if (isBlank(body.name)) errors.name = 'This field is required';
+        else values.name = String(body.name).trim();
+    }
+
+    if (has('slug') && !isBlank(body.slug)) {
+        const slug = String(body.slug).trim();
+        if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) errors.slug = 'Use lowercase letters, numbers and single dashes';
+        else values.slug = slug;
+    } else if (!partial && values.name) {
+        values.slug = slugify(values.name);
+        if (!values.slug) errors.slug = 'Enter a slug using letters or numbers';
+    }
+
+    if (has('description')) values.description = isBlank(body.description) ? null : String(body.description).trim();
+
+    if (has('position')) {
+        const position = isBlank(body.position) ? 0 : Number(body.position);
+        if (!Number.isInteger(position)) errors.position = 'Must be a whole number';
+        else values.position = position;
+    }
+
+    parsePublishWindow(body, values, errors);
+
+    let productIds = null;
+    if (has('productIds')) {
+        if (!Array.isArray(body.productIds)) errors.productIds = 'Must be a list of product ids';
+        else productIds = [...new Set(body.productIds.map(String))];
+    }
+
+    return Object.keys(errors).length ? { errors } : { values, productIds };
+}
@@ -0,0 +1,36 @@
+import { hmacSha256, signaturesMatch } from './payments/signature.js';
+
+// --- Certificates of Authenticity ---
+// Every numbered unit of a limited edition (an edition_serials row) has a certificate. Its code is
+// the row id plus an HMAC over the id, product and serial, so codes can't be guessed or edited
+// into someone else's number. A code only verifies while its number is allocated: numbers handed
+// back by a cancellation get a new row, and a new code, when they sell again.
+
+const SIGNATURE_LENGTH = 24;
+
+const sign = (serialRow, secret) => hmacSha256(secret, `${serialRow.id}:${serialRow.product_id}:${serialRow.serial}`)
+    .slice(0, SIGNATURE_LENGTH);
+
+// serialRow: { id, product_id, serial } -> "<id>.<signature>"
+export function signCertificateCode(serialRow, secret) {
+    return `${serialRow.id}.${sign(serialRow, secret)}`;
+}
+
+// "<id>.<signature>" -> { id, signature }, or null when the code is malformed
+export function parseCertificateCode(code) {
+    const match = /^([A-Za-z0-9-]+)\.([a-f0-9]+)$/.exec(String(code ?? '').trim());
+    if (!match || match[2].length !== SIGNATURE_LENGTH) return null;
+    return { id: match[1], signature: match[2] };
+}
+
+export function certificateSignatureMatches(serialRow, signature, secret) {
+    return signaturesMatch(sign(serialRow, secret), signature);
+}
+
+// "Aarav Sharma" -> "Aarav S." so the public check confirms the owner without publishing full names
+export function maskOwnerName(name) {
+    const [first, ...rest] = String(name ?? '').trim().split(/\s+/).filter(Boolean);
+    if (!first) return null;
+    const last = rest.pop();
+    return last ? `${first} ${last[0].toUpperCase()}.` : first;
+}
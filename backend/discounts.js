@@ -0,0 +1,148 @@
+// --- Discount Codes ---
+// Pure rules for coupon codes; loading coupons and counting their uses happens in api.js.
+//
+// Coupon row:
+//   { id, code, type: 'percent' | 'fixed' | 'free_shipping', value, min_order_value,
+//     product_ids, collection_ids, max_uses, max_uses_per_user, times_used, starts_at, ends_at, active }
+// A coupon with product_ids or collection_ids only discounts the matching lines; the minimum
+// order value is always checked against the whole cart.
+
+import { roundMoney } from './pricing.js';
+
+export const COUPON_TYPES = ['percent', 'fixed', 'free_shipping'];
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+export function describeCoupon(coupon) {
+    if (coupon.type === 'percent') return `${Number(coupon.value)}% off`;
+    if (coupon.type === 'fixed') return `₹${Number(coupon.value).toLocaleString('en-IN')} off`;
+    return 'Free shipping';
+}
+
+// Maps an admin request body onto coupon columns. `partial` skips required checks for fields that were not sent.
+// Returns { values } or { errors } keyed by field name.
+export function parseCouponBody(body = {}, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+    const has = (field) => field in body;
+    const optionalNumber = (field, column) => {
+        if (!has(field)) return;
+        if (body[field] === null || body[field] === '') {
+            values[column] = null;
+            return;
+        }
+        const number = Number(body[field]);
+        if (!Number.isFinite(number) || number < 0) errors[field] = 'Must be a positive number';
+        else values[column] = number;
+    };
+    const optionalDate = (field, column) => {
+        if (!has(field)) return;
+        if (!body[field]) {
+            values[column] = null;
+            return;
+        }
+        const date = new Date(body[field]);
+        if (Number.isNaN(date.getTime())) errors[field] = 'Must be a valid date';
+        else values[column] = date.toISOString();
+    };
+
+    if (has('code') || !partial) {
+        const code = normalizeCouponCode(body.code);
+        if (!/^[A-Z0-9_-]{3,32}$/.test(code)) errors.code = 'Use 3-32 letters, numbers, dashes or underscores';
+        else values.code = code;
+    }
+    if (has('type') || !partial) {
+        if (!COUPON_TYPES.includes(body.type)) errors.type = `Must be one of ${COUPON_TYPES.join(', ')}`;
+        else values.type = body.type;
+    }
+    optionalNumber('value', 'value');
+    if (!partial && values.type !== 'free_shipping' && !(values.value > 0)) errors.value = 'Enter the discount amount';
+    if (values.type === 'percent' && values.value > 100) errors.value = 'A percentage cannot exceed 100';
+
+    optionalNumber('minOrderValue', 'min_order_value');
+    optionalNumber('maxUses', 'max_uses');
+    optionalNumber('maxUsesPerUser', 'max_uses_per_user');
+    optionalDate('startsAt', 'starts_at');
+    optionalDate('endsAt', 'ends_at');
+    if (values.starts_at && values.ends_at && values.ends_at <= values.starts_at) errors.endsAt = 'Must be after the start date';
+
+    for (const [field, column] of [['productIds', 'product_ids'], ['collectionIds', 'collection_ids']]) {
+        if (!has(field)) continue;
+        if (!Array.isArray(body[field])) errors[field] = 'Must be a list of ids';
+        else values[column] = body[field].map(String);
+    }
+    if (has('active')) values.active = Boolean(body.active);
+
+    return Object.keys(errors).length ? { errors } : { values };
+}
+
+// Spreads a discount over lines in proportion to their value, so each line's GST is charged on what was actually paid
+function allocate(amount, lines) {
+    if (!amount) return lines.map(() => 0);
+    const base = lines.reduce((sum, line) => sum + line.line_total, 0);
+    let remaining = amount;
+    return lines.map((line, position) => {
+        const share = position === lines.length - 1 ? remaining : roundMoney(amount * line.line_total / base);
+        remaining = roundMoney(remaining - share);
+        return share;
+    });
+}
+
+// lines: [{ product_id, unit_price, quantity }]
+// context: { userUses: number of this user's orders using the code, or null for guests,
+//            collectionProductIds: Set of cart product ids inside the coupon's collections, now }
+// Returns { error } or { discount: { code, type, description, amount, freeShipping }, lines } where
+// each line carries its share of the discount as discount_amount.
+export function evaluateCoupon(coupon, lines, { userUses = null, collectionProductIds = new Set(), now = new Date() } = {}) {
+    if (!coupon || !coupon.active) return { error: 'This code is not valid' };
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) return { error: 'This code is not active yet' };
+    if (coupon.ends_at && new Date(coupon.ends_at) < now) return { error: 'This code has expired' };
+    if (coupon.max_uses !== null && coupon.max_uses !== undefined && coupon.times_used >= coupon.max_uses) {
+        return { error: 'This code has reached its usage limit' };
+    }
+    if (coupon.max_uses_per_user) {
+        if (userUses === null) return { error: 'Log in to use this code' };
+        if (userUses >= coupon.max_uses_per_user) return { error: 'You have already used this code' };
+    }
+
+    const pricedLines = lines.map(line => ({ ...line, line_total: roundMoney(Number(line.unit_price) * line.quantity) }));
+    const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.line_total, 0));
+    const minimum = Number(coupon.min_order_value) || 0;
+    if (subtotal < minimum) {
+        return { error: `Add ₹${roundMoney(minimum - subtotal).toLocaleString('en-IN')} more to use this code` };
+    }
+
+    const productIds = (coupon.product_ids || []).map(String);
+    const scoped = productIds.length > 0 || (coupon.collection_ids || []).length > 0;
+    const isEligible = (line) => !scoped
+        || productIds.includes(String(line.product_id))
+        || collectionProductIds.has(String(line.product_id));
+    const eligible = pricedLines.filter(isEligible);
+    if (!eligible.length) return { error: 'This code does not apply to the items in your cart' };
+
+    const eligibleTotal = roundMoney(eligible.reduce((sum, line) => sum + line.line_total, 0));
+    let amount = 0;
+    if (coupon.type === 'percent') amount = roundMoney(eligibleTotal * Math.min(Number(coupon.value), 100) / 100);
+    if (coupon.type === 'fixed') amount = roundMoney(Math.min(Number(coupon.value), eligibleTotal));
+
+    const shares = allocate(amount, eligible);
+    const shareByLine = new Map(eligible.map((line, position) => [line, shares[position]]));
+
+    return {
+        discount: {
+            code: coupon.code,
+            type: coupon.type,
+            description: describeCoupon(coupon),
+            amount,
+            freeShipping: coupon.type === 'free_shipping'
+        },
+        lines: pricedLines.map(line => ({ ...line, discount_amount: shareByLine.get(line) ?? 0 }))
+    };
+}
+
+// Free-shipping codes waive the cheapest option for the address; faster options keep their price
+export function applyFreeShipping(options) {
+    return options.map((option, position) => position === 0
+        ? { ...option, originalPrice: option.price, price: 0 }
+        : option);
+}
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyFreeShipping, evaluateCoupon, parseCouponBody } from './discounts.js';
+
+const now = new Date('2026-06-01T12:00:00Z');
+const lines = [
+    { product_id: 'tee', unit_price: 1200, quantity: 2 },
+    { product_id: 'print', unit_price: 600, quantity: 1 }
+];
+const coupon = (overrides = {}) => ({
+    id: 'coupon-1',
+    code: 'DROP10',
+    type: 'percent',
+    value: 10,
+    min_order_value: null,
+    product_ids: null,
+    collection_ids: null,
+    max_uses: null,
+    max_uses_per_user: null,
+    times_used: 0,
+    starts_at: null,
+    ends_at: null,
+    active: true,
+    ...overrides
+});
+
+test('codes outside their dates are refused', () => {
+    assert.equal(evaluateCoupon(coupon({ ends_at: '2026-05-31T23:59:59Z' }), lines, { now }).error, 'This code has expired');
+    assert.equal(evaluateCoupon(coupon({ starts_at: '2026-06-02T00:00:00Z' }), lines, { now }).error, 'This code is not active yet');
+    assert.equal(evaluateCoupon(coupon({ active: false }), lines, { now }).error, 'This code is not valid');
+});
+
+test('the minimum order value is checked against the whole cart', () => {
+    assert.equal(evaluateCoupon(coupon({ min_order_value: 3500 }), lines, { now }).error, 'Add ₹500 more to use this code');
+    assert.equal(evaluateCoupon(coupon({ min_order_value: 3000, product_ids: ['print'] }), lines, { now }).discount.amount, 60);
+});
+
+test('usage limits apply overall and per customer', () => {
+    assert.equal(evaluateCoupon(coupon({ max_uses: 5, times_used: 5 }), lines, { now }).error, 'This code has reached its usage limit');
+    assert.ok(evaluateCoupon(coupon({ max_uses: 5, times_used: 4 }), lines, { now }).discount);
+
+    const perUser = coupon({ max_uses_per_user: 1 });
+    assert.equal(evaluateCoupon(perUser, lines, { now }).error, 'Log in to use this code');
+    assert.equal(evaluateCoupon(perUser, lines, { now, userUses: 1 }).error, 'You have already used this code');
+    assert.ok(evaluateCoupon(perUser, lines, { now, userUses: 0 }).discount);
+});
+
+test('percent codes take a share of the eligible lines and flat codes a fixed amount', () => {
+    const percent = evaluateCoupon(coupon(), lines, { now });
+    assert.equal(percent.discount.amount, 300);
+    assert.deepEqual(percent.lines.map(line => line.discount_amount), [240, 60]);
+
+    const fixed = evaluateCoupon(coupon({ type: 'fixed', value: 250 }), lines, { now });
+    assert.equal(fixed.discount.amount, 250);
+    assert.equal(fixed.discount.description, '₹250 off');
+    assert.deepEqual(fixed.lines.map(line => line.discount_amount), [200, 50]);
+});
+
+test('the discount never exceeds what it applies to', () => {
+    const fixed = evaluateCoupon(coupon({ type: 'fixed', value: 5000 }), lines, { now });
+    assert.equal(fixed.discount.amount, 3000);
+
+    const scoped = evaluateCoupon(coupon({ type: 'fixed', value: 1000, product_ids: ['print'] }), lines, { now });
+    assert.equal(scoped.discount.amount, 600);
+    assert.deepEqual(scoped.lines.map(line => line.discount_amount), [0, 600]);
+
+    assert.equal(evaluateCoupon(coupon({ value: 150 }), lines, { now }).discount.amount, 3000);
+});
+
+test('shares are rounded so they add up to the discount exactly', () => {
+    const thirds = [1, 2, 3].map(index => ({ product_id: `p${index}`, unit_price: 100, quantity: 1 }));
+    const { discount, lines: discounted } = evaluateCoupon(coupon({ type: 'fixed', value: 100 }), thirds, { now });
+
+    assert.deepEqual(discounted.map(line => line.discount_amount), [33.33, 33.33, 33.34]);
+    assert.equal(discount.amount, 100);
+});
+
+test('free shipping codes waive only the cheapest option', () => {
+    const result = evaluateCoupon(coupon({ type: 'free_shipping', value: null }), lines, { now });
+    assert.equal(result.discount.amount, 0);
+    assert.equal(result.discount.freeShipping, true);
+
+    const options = applyFreeShipping([{ id: 'standard', price: 99 }, { id: 'express', price: 249 }]);
+    assert.deepEqual(options, [{ id: 'standard', originalPrice: 99, price: 0 }, { id: 'express', price: 249 }]);
+});
+
+test('admin bodies are validated before they reach the table', () => {
+    assert.deepEqual(parseCouponBody({ code: ' drop10 ', type: 'percent', value: 10 }).values, { code: 'DROP10', type: 'percent', value: 10 });
+    assert.equal(parseCouponBody({ code: 'BIG', type: 'percent', value: 120 }).errors.value, 'A percentage cannot exceed 100');
+    assert.equal(parseCouponBody({ code: 'FLAT', type: 'fixed' }).errors.value, 'Enter the discount amount');
+    assert.equal(
+        parseCouponBody({ code: 'LATE', type: 'free_shipping', startsAt: '2026-06-02', endsAt: '2026-06-01' }).errors.endsAt,
+        'Must be after the start date'
+    );
+});
@@ -0,0 +1,129 @@
+// --- Product Images ---
+// Turns an uploaded image into the renditions the storefront serves: every width in
+// IMAGE_WIDTHS (never upscaled) in AVIF, WebP and JPEG. Storing the files happens in api.js
+// through the storage adapter.
+//
+// product_images row:
+//   { id, product_id, url, alt, width, height, srcset, sources, storage_keys }
+// `url` is the largest JPEG and is what goes into products.images, so anything that only
+// knows about plain image URLs keeps working.
+
+import sharp from 'sharp';
+
+// Slider tiles are ~400px wide, the product page's main image tops out around 1200px on retina.
+// Every width is encoded in every format within one request, so keep this list short.
+export const IMAGE_WIDTHS = [400, 800, 1200];
+
+// Modern formats first; browsers take the first <source> they support and fall back to the JPEG <img>
+const OUTPUT_FORMATS = [
+    // AVIF is by far the slowest encode; low effort keeps uploads inside the function time limit
+    { format: 'avif', extension: 'avif', contentType: 'image/avif', options: { quality: 50, effort: 2 } },
+    { format: 'webp', extension: 'webp', contentType: 'image/webp', options: { quality: 75 } },
+    { format: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', options: { quality: 80, mozjpeg: true } }
+];
+
+export const ACCEPTED_IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+// Vercel rejects request bodies over 4.5MB and base64 adds a third, so 3MB files arrive as ~4MB
+export const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+
+// Body: { data, contentType?, alt? } where data is a data: URL or bare base64.
+// Returns { values: { buffer, contentType, extension, alt } } or { errors } keyed by field name.
+export function parseImageUpload(body = {}) {
+    const errors = {};
+    const match = /^data:([\w/+.-]+);base64,(.*)$/s.exec(String(body.data || ''));
+    const contentType = String(match?.[1] || body.contentType || '').toLowerCase();
+    const encoded = match ? match[2] : String(body.data || '');
+
+    if (!encoded) errors.data = 'Choose an image to upload';
+    if (!ACCEPTED_IMAGE_TYPES[contentType]) errors.contentType = 'Upload a JPEG, PNG, WebP or AVIF image';
+
+    const buffer = encoded ? Buffer.from(encoded, 'base64') : null;
+    if (buffer && !buffer.length) errors.data = 'The image is empty';
+    if (buffer && buffer.length > MAX_IMAGE_BYTES) errors.data = `Images must be ${MAX_IMAGE_BYTES / 1024 / 1024}MB or smaller`;
+
+    if (Object.keys(errors).length) return { errors };
+    return {
+        values: {
+            buffer,
+            contentType,
+            extension: ACCEPTED_IMAGE_TYPES[contentType],
+            alt: String(body.alt || '').trim() || null
+        }
+    };
+}
+
+// Resolves to { width, height, renditions: [{ width, height, format, extension, contentType, buffer }] }.
+// Rejects when the bytes are not an image sharp can read.
+export async function generateRenditions(buffer) {
+    // rotate() applies the EXIF orientation so phone photos aren't sideways once the metadata is stripped
+    const source = sharp(buffer, { failOn: 'error' }).rotate();
+    const { width: originalWidth, height: originalHeight, orientation } = await source.metadata();
+    // EXIF orientations 5-8 swap the axes
+    const [width, height] = orientation >= 5 ? [originalHeight, originalWidth] : [originalWidth, originalHeight];
+
+    const widths = IMAGE_WIDTHS.filter(candidate => candidate < width);
+    if (widths.length < IMAGE_WIDTHS.length) widths.push(width);
+
+    const renditions = [];
+    for (const targetWidth of widths) {
+        for (const output of OUTPUT_FORMATS) {
+            const { data, info } = await source
+                .clone()
+                .resize({ width: targetWidth, withoutEnlargement: true })
+                .toFormat(output.format, output.options)
+                .toBuffer({ resolveWithObject: true });
+            renditions.push({
+                width: info.width,
+                height: info.height,
+                format: output.format,
+                extension: output.extension,
+                contentType: output.contentType,
+                buffer: data
+            });
+        }
+    }
+    return { width, height, renditions };
+}
+
+// uploaded: [{ width, format, url }] for the stored renditions.
+// Returns the srcset columns: { url, srcset, sources: [{ type, srcset }] }
+export function buildSrcsets(uploaded) {
+    const srcsetFor = (format) => uploaded
+        .filter(rendition => rendition.format === format)
+        .sort((a, b) => a.width - b.width)
+        .map(rendition => `${rendition.url} ${rendition.width}w`)
+        .join(', ');
+    const jpegs = uploaded.filter(rendition => rendition.format === 'jpeg').sort((a, b) => b.width - a.width);
+
+    return {
+        url: jpegs[0]?.url ?? null,
+        srcset: srcsetFor('jpeg'),
+        sources: OUTPUT_FORMATS
+            .filter(output => output.format !== 'jpeg')
+            .map(output => ({ type: output.contentType, srcset: srcsetFor(output.format) }))
+    };
+}
+
+// Storefront shape for each entry in products.images. Images that were added as plain URLs
+// have no renditions, so the client falls back to a single <img src>.
+export function toImageMedia(urls = [], rows = []) {
+    const byUrl = new Map(rows.map(row => [row.url, row]));
+    return urls.map(url => {
+        const row = byUrl.get(url);
+        return {
+            id: row?.id ?? null,
+            url,
+            alt: row?.alt ?? null,
+            width: row?.width ?? null,
+            height: row?.height ?? null,
+            srcset: row?.srcset ?? null,
+            sources: row?.sources ?? []
+        };
+    });
+}
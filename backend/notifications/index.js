@@ -0,0 +1,34 @@
+import { createResendNotifier } from './resend.js';
+import { createLogNotifier } from './log.js';
+
+// Every notifier adapter exposes the same surface:
+//   name
+//   send({ to, subject, text, html }) -> resolves once the message has been accepted for delivery
+// Message content is built by messages.js so every adapter sends the same wording.
+
+let notifier = null;
+
+export function getNotifier() {
+    if (notifier) return notifier;
+
+    const defaultNotifier = process.env.NODE_ENV === 'production' ? 'resend' : 'log';
+    const name = process.env.NOTIFIER || defaultNotifier;
+
+    switch (name) {
+        case 'resend':
+            notifier = createResendNotifier({
+                apiKey: process.env.RESEND_API_KEY,
+                from: process.env.NOTIFY_FROM_EMAIL
+            });
+            break;
+        case 'log':
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('The log notifier cannot be used in production');
+            }
+            notifier = createLogNotifier();
+            break;
+        default:
+            throw new Error(`Unknown notifier "${name}"`);
+    }
+    return notifier;
+}
@@ -0,0 +1,10 @@
+// Development stand-in that prints messages to the server console instead of sending them
+export function createLogNotifier() {
+    return {
+        name: 'log',
+
+        async send({ to, subject, text }) {
+            console.log(`📧 To: ${to}\n   Subject: ${subject}\n   ${text.replace(/\n/g, '\n   ')}`);
+        }
+    };
+}
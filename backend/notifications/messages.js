@@ -0,0 +1,36 @@
+// Wording for the emails sent through the notifier. Each builder returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+function message({ subject, lines, url, action }) {
+    return {
+        subject,
+        text: [...lines, '', `${action}: ${url}`, '', 'You asked us to let you know. This is a one-off email.'].join('\n'),
+        html: [
+            ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+            `<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>`,
+            '<p style="color:#888">You asked us to let you know. This is a one-off email.</p>'
+        ].join('')
+    };
+}
+
+// product: { name }, size: the variant that came back into stock
+export function restockMessage({ product, size, url }) {
+    return message({
+        subject: `Back in stock: ${product.name}${size ? ` (${size})` : ''}`,
+        lines: [`${product.name}${size ? ` in size ${size}` : ''} is back in stock.`, 'Stock is limited, so it may not last long.'],
+        url,
+        action: 'Shop it now'
+    });
+}
+
+export function dropMessage({ product, url }) {
+    return message({
+        subject: `Out now: ${product.name}`,
+        lines: [`${product.name} has just dropped.`, 'Get in before it sells out.'],
+        url,
+        action: 'Shop the drop'
+    });
+}
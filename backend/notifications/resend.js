@@ -0,0 +1,24 @@
+const RESEND_API = 'https://api.resend.com';
+
+// Transactional email through Resend's HTTP API
+export function createResendNotifier({ apiKey, from }) {
+    if (!apiKey || !from) {
+        throw new Error('Missing Resend settings (RESEND_API_KEY / NOTIFY_FROM_EMAIL)');
+    }
+
+    return {
+        name: 'resend',
+
+        async send({ to, subject, text, html }) {
+            const response = await fetch(`${RESEND_API}/emails`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+                body: JSON.stringify({ from, to: [to], subject, text, html })
+            });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.message || `Resend request failed (${response.status})`);
+            }
+        }
+    };
+}
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { hmacSha256, signaturesMatch } from './signature.js';
+
+// Offline stand-in for a real gateway. createIntent hands back the signed payload a real
+// checkout widget would produce, so the callback and webhook go through the same
+// verification path as production.
+export function createFakeProvider({ secret }) {
+    const sign = (providerOrderId, paymentId) => hmacSha256(secret, `${providerOrderId}|${paymentId}`);
+
+    return {
+        name: 'fake',
+        publicKey: 'fake_key',
+
+        async createIntent({ amount, currency }) {
+            return this.resumeIntent({ providerOrderId: `fake_order_${crypto.randomUUID()}`, amount, currency });
+        },
+
+        // The payment id is derived from the order id, so a resumed intent pays as the same payment
+        resumeIntent({ providerOrderId, amount, currency }) {
+            const paymentId = providerOrderId.replace(/^fake_order_/, 'fake_pay_');
+            return {
+                providerOrderId,
+                amount: Math.round(amount * 100),
+                currency,
+                checkout: { paymentId, signature: sign(providerOrderId, paymentId) }
+            };
+        },
+
+        verifyPayment({ providerOrderId, paymentId, signature }) {
+            return signaturesMatch(sign(providerOrderId, paymentId), signature);
+        },
+
+        async refund() {
+            return { refundId: `fake_refund_${crypto.randomUUID()}` };
+        },
+
+        parseWebhook(req) {
+            const { event, providerOrderId, paymentId, signature } = req.body || {};
+            if (!signaturesMatch(sign(providerOrderId, paymentId), signature)) {
+                throw new Error('Invalid webhook signature');
+            }
+            return { type: event === 'payment.failed' ? 'failed' : 'paid', providerOrderId, paymentId };
+        }
+    };
+}
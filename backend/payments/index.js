@@ -0,0 +1,39 @@
+import { createRazorpayProvider } from './razorpay.js';
+import { createFakeProvider } from './fake.js';
+
+// Every provider adapter exposes the same surface:
+//   name, publicKey
+//   createIntent({ orderId, amount, currency })     -> { providerOrderId, amount, currency, checkout? }
+//   resumeIntent({ providerOrderId, amount, currency }) -> the same shape, for an intent that is still open
+//   verifyPayment({ providerOrderId, paymentId, signature }) -> boolean
+//   parseWebhook(req)                                -> { type: 'paid' | 'failed' | 'ignored', providerOrderId, paymentId }
+//   refund({ paymentId, amount })                    -> { refundId }
+// Amounts are passed in rupees and converted to the provider's own unit inside the adapter.
+
+let provider = null;
+
+export function getPaymentProvider() {
+    if (provider) return provider;
+
+    const defaultProvider = process.env.NODE_ENV === 'production' ? 'razorpay' : 'fake';
+    const name = process.env.PAYMENT_PROVIDER || defaultProvider;
+
+    switch (name) {
+        case 'razorpay':
+            provider = createRazorpayProvider({
+                keyId: process.env.RAZORPAY_KEY_ID,
+                keySecret: process.env.RAZORPAY_KEY_SECRET,
+                webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+            });
+            break;
+        case 'fake':
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('The fake payment provider cannot be used in production');
+            }
+            provider = createFakeProvider({ secret: process.env.FAKE_PAYMENT_SECRET || 'brkn-local-payments' });
+            break;
+        default:
+            throw new Error(`Unknown payment provider "${name}"`);
+    }
+    return provider;
+}
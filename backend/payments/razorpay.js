@@ -0,0 +1,79 @@
+import { hmacSha256, signaturesMatch } from './signature.js';
+
+const RAZORPAY_API = 'https://api.razorpay.com/v1';
+
+// Razorpay adapter: orders are created server-side, paid through checkout.js in the browser,
+// and confirmed either by the checkout callback signature or the payment.captured webhook.
+export function createRazorpayProvider({ keyId, keySecret, webhookSecret }) {
+    if (!keyId || !keySecret) {
+        throw new Error('Missing Razorpay credentials (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET)');
+    }
+
+    const authHeader = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+    async function request(method, endpoint, body) {
+        const response = await fetch(`${RAZORPAY_API}${endpoint}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: authHeader },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error?.description || `Razorpay request failed (${response.status})`);
+        }
+        return result;
+    }
+
+    return {
+        name: 'razorpay',
+        publicKey: keyId,
+
+        async createIntent({ orderId, amount, currency }) {
+            const razorpayOrder = await request('POST', '/orders', {
+                amount: Math.round(amount * 100), // paise
+                currency,
+                receipt: String(orderId),
+                notes: { order_id: String(orderId) }
+            });
+            return {
+                providerOrderId: razorpayOrder.id,
+                amount: razorpayOrder.amount,
+                currency: razorpayOrder.currency
+            };
+        },
+
+        // A Razorpay order can be paid from any number of checkout attempts until it is paid
+        resumeIntent({ providerOrderId, amount, currency }) {
+            return { providerOrderId, amount: Math.round(amount * 100), currency };
+        },
+
+        verifyPayment({ providerOrderId, paymentId, signature }) {
+            const expected = hmacSha256(keySecret, `${providerOrderId}|${paymentId}`);
+            return signaturesMatch(expected, signature);
+        },
+
+        async refund({ paymentId, amount }) {
+            const refund = await request('POST', `/payments/${paymentId}/refund`, {
+                amount: Math.round(amount * 100)
+            });
+            return { refundId: refund.id };
+        },
+
+        parseWebhook(req) {
+            if (!webhookSecret) throw new Error('Missing RAZORPAY_WEBHOOK_SECRET');
+
+            const expected = hmacSha256(webhookSecret, req.rawBody || '');
+            if (!signaturesMatch(expected, req.headers['x-razorpay-signature'])) {
+                throw new Error('Invalid webhook signature');
+            }
+
+            const payment = req.body?.payload?.payment?.entity;
+            const types = { 'payment.captured': 'paid', 'order.paid': 'paid', 'payment.failed': 'failed' };
+            return {
+                type: types[req.body?.event] || 'ignored',
+                providerOrderId: payment?.order_id,
+                paymentId: payment?.id
+            };
+        }
+    };
+}
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+export function hmacSha256(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Constant-time comparison of two hex signatures
+export function signaturesMatch(expected, received) {
+    if (typeof received !== 'string') return false;
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
@@ -0,0 +1,82 @@
+// --- Pricing & GST ---
+// Pure calculations shared by the cart quote and order creation, so the two can never disagree.
+// Product prices are exclusive of GST; tax is added per line at the product's own rate.
+
+export const DEFAULT_GST_RATE = 0.18;
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeRegion = (value) => String(value || '').trim().toLowerCase();
+
+function isDomestic(country) {
+    const normalized = normalizeRegion(country);
+    return !normalized || normalized === 'india' || normalized === 'in';
+}
+
+// Intra-state supplies split GST equally into CGST + SGST; inter-state supplies charge IGST.
+// Without both states known the split is left open and only the total is reported.
+export function splitGst(tax, originState, destinationState) {
+    if (!originState || !destinationState) {
+        return { type: null, cgst: null, sgst: null, igst: null };
+    }
+    if (normalizeRegion(originState) === normalizeRegion(destinationState)) {
+        const cgst = roundMoney(tax / 2);
+        return { type: 'intra', cgst, sgst: roundMoney(tax - cgst), igst: 0 };
+    }
+    return { type: 'inter', cgst: 0, sgst: 0, igst: tax };
+}
+
+// lines: [{ unit_price, quantity, tax_rate?, hsn_code?, discount_amount?, ... }]
+// Returns the lines with line_total/tax_amount filled in, plus order-level totals.
+// GST is charged on the line value after its share of any discount.
+// Shipping stays outside the taxable value: the rates in shipping.js are what the customer pays,
+// GST on freight included, so the charge is added to the total as it is rather than taxed again.
+// Exports (a destination country outside India) are zero-rated.
+export function computeQuote(lines, {
+    shipping = 0,
+    destinationState = null,
+    destinationCountry = null,
+    originState = process.env.STORE_STATE || null
+} = {}) {
+    const zeroRated = !isDomestic(destinationCountry);
+
+    const pricedLines = lines.map(line => {
+        const taxRate = zeroRated ? 0 : Number(line.tax_rate ?? DEFAULT_GST_RATE);
+        const lineTotal = roundMoney(Number(line.unit_price) * line.quantity);
+        const discountAmount = roundMoney(Number(line.discount_amount) || 0);
+        return {
+            ...line,
+            tax_rate: taxRate,
+            line_total: lineTotal,
+            discount_amount: discountAmount,
+            tax_amount: roundMoney((lineTotal - discountAmount) * taxRate)
+        };
+    });
+
+    const subtotal = roundMoney(pricedLines.reduce((sum, line) => sum + line.line_total, 0));
+    const discount = roundMoney(pricedLines.reduce((sum, line) => sum + line.discount_amount, 0));
+    const tax = roundMoney(pricedLines.reduce((sum, line) => sum + line.tax_amount, 0));
+
+    // Taxable value and tax per rate, as printed on a GST invoice
+    const byRate = new Map();
+    for (const line of pricedLines) {
+        const entry = byRate.get(line.tax_rate) || { rate: line.tax_rate, taxable: 0, tax: 0 };
+        entry.taxable = roundMoney(entry.taxable + line.line_total - line.discount_amount);
+        entry.tax = roundMoney(entry.tax + line.tax_amount);
+        byRate.set(line.tax_rate, entry);
+    }
+
+    return {
+        lines: pricedLines,
+        subtotal,
+        discount,
+        tax,
+        taxBreakdown: {
+            ...splitGst(tax, originState, zeroRated ? null : destinationState),
+            zeroRated,
+            rates: [...byRate.values()]
+        },
+        shipping: roundMoney(shipping),
+        total: roundMoney(subtotal - discount + tax + shipping)
+    };
+}
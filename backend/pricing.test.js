@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeQuote, roundMoney, splitGst } from './pricing.js';
+
+const lines = [
+    { unit_price: 1000, quantity: 2, tax_rate: 0.12 },
+    { unit_price: 500, quantity: 1 }
+];
+
+test('intra-state orders split GST into equal CGST and SGST', () => {
+    const quote = computeQuote(lines, { destinationState: 'maharashtra', destinationCountry: 'India', originState: 'Maharashtra' });
+
+    assert.equal(quote.subtotal, 2500);
+    assert.equal(quote.tax, 330);
+    assert.deepEqual(quote.taxBreakdown, {
+        type: 'intra',
+        cgst: 165,
+        sgst: 165,
+        igst: 0,
+        zeroRated: false,
+        rates: [{ rate: 0.12, taxable: 2000, tax: 240 }, { rate: 0.18, taxable: 500, tax: 90 }]
+    });
+});
+
+test('inter-state orders charge IGST', () => {
+    const quote = computeQuote(lines, { destinationState: 'Karnataka', destinationCountry: 'IN', originState: 'Maharashtra' });
+
+    assert.equal(quote.taxBreakdown.type, 'inter');
+    assert.equal(quote.taxBreakdown.igst, 330);
+    assert.equal(quote.taxBreakdown.cgst, 0);
+    assert.equal(quote.taxBreakdown.sgst, 0);
+});
+
+test('the split is left open until both states are known', () => {
+    const quote = computeQuote(lines, { destinationState: 'Karnataka', originState: null });
+
+    assert.equal(quote.tax, 330);
+    assert.equal(quote.taxBreakdown.type, null);
+    assert.equal(quote.taxBreakdown.igst, null);
+});
+
+test('exports are zero-rated', () => {
+    const quote = computeQuote(lines, { shipping: 1500, destinationState: 'California', destinationCountry: 'United States', originState: 'Maharashtra' });
+
+    assert.equal(quote.tax, 0);
+    assert.ok(quote.lines.every(line => line.tax_rate === 0 && line.tax_amount === 0));
+    assert.equal(quote.taxBreakdown.zeroRated, true);
+    assert.equal(quote.taxBreakdown.type, null);
+    assert.equal(quote.total, 4000);
+});
+
+test('GST is charged after the discount and shipping is added untaxed', () => {
+    const quote = computeQuote(
+        [{ unit_price: 1000, quantity: 1, discount_amount: 100 }],
+        { shipping: 99, destinationCountry: 'India' }
+    );
+
+    assert.equal(quote.tax, 162);
+    assert.equal(quote.total, 1000 - 100 + 162 + 99);
+});
+
+test('line amounts are rounded to the paisa before they are summed', () => {
+    const quote = computeQuote(
+        [{ unit_price: 333.33, quantity: 3, tax_rate: 0.05 }, { unit_price: 0.1, quantity: 3, tax_rate: 0.18 }],
+        { destinationCountry: 'India' }
+    );
+
+    assert.deepEqual(quote.lines.map(line => [line.line_total, line.tax_amount]), [[999.99, 50], [0.3, 0.05]]);
+    assert.equal(quote.subtotal, 1000.29);
+    assert.equal(quote.tax, 50.05);
+    assert.equal(quote.total, 1050.34);
+});
+
+test('an odd paisa of intra-state tax goes to SGST so the halves add up', () => {
+    assert.deepEqual(splitGst(10.01, 'Goa', 'goa'), { type: 'intra', cgst: 5.01, sgst: 5, igst: 0 });
+    assert.equal(roundMoney(0.1 + 0.2), 0.3);
+});
@@ -0,0 +1,180 @@
+// --- Product Search ---
+// Ranks storefront products against a free-text query. The catalogue is a few hundred
+// products at most, so matching runs in memory over the rows /products already loads
+// instead of needing search indexes in the database.
+//
+// Every word in the query has to match somewhere in the product's name, tags or description:
+// exactly, as the start of a word ("hood" finds "hoodie") or within a small number of typos
+// ("hoddie" finds "hoodie"). Matches in the name count for more than tags, tags for more than
+// the description.
+
+const FIELD_WEIGHTS = { name: 3, tags: 2, description: 1 };
+
+const MATCH_SCORES = { exact: 1, prefix: 0.8, typo: 0.6 };
+
+// Lowercases and strips accents and punctuation, so "Tee—Shirt" and "tee shirt" compare equal
+export const normalizeSearchText = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const tokenize = (value) => normalizeSearchText(value).split(' ').filter(Boolean);
+
+// Short words must match exactly; longer words tolerate more mistakes
+function allowedTypos(word) {
+    if (word.length <= 3) return 0;
+    if (word.length <= 7) return 1;
+    return 2;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps, so "hodoie" is one typo).
+// Gives up early and returns max + 1 once the distance can no longer be within `max`.
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+// How well one query word matches one word of the product, 0 for no match
+function matchWord(queryWord, word) {
+    if (word === queryWord) return MATCH_SCORES.exact;
+    if (queryWord.length >= 2 && word.startsWith(queryWord)) return MATCH_SCORES.prefix;
+
+    const typos = allowedTypos(queryWord);
+    if (!typos) return 0;
+    // Also try the word cut to the query's length, so a misspelt partial word ("hodd") still finds "hoodie"
+    const distance = Math.min(
+        editDistance(queryWord, word, typos),
+        editDistance(queryWord, word.slice(0, queryWord.length), typos)
+    );
+    return distance <= typos ? MATCH_SCORES.typo - 0.1 * (distance - 1) : 0;
+}
+
+function indexProduct(product) {
+    return {
+        name: tokenize(product.name),
+        tags: (product.tags || []).flatMap(tokenize),
+        description: tokenize(product.description)
+    };
+}
+
+// Returns the product's relevance for the query words, or 0 when any word has no match
+export function scoreProduct(product, queryWords, index = indexProduct(product)) {
+    let score = 0;
+    for (const queryWord of queryWords) {
+        let best = 0;
+        for (const [field, words] of Object.entries(index)) {
+            for (const word of words) {
+                best = Math.max(best, matchWord(queryWord, word) * FIELD_WEIGHTS[field]);
+            }
+        }
+        if (!best) return 0;
+        score += best;
+    }
+
+    // A name that starts with the whole query is almost certainly what the shopper meant
+    if (normalizeSearchText(product.name).startsWith(queryWords.join(' '))) score += FIELD_WEIGHTS.name;
+    return score;
+}
+
+// Returns the matching products, best match first. An empty query matches everything in the
+// original order, so the filters can be used on their own.
+export function searchProducts(products, query) {
+    const queryWords = tokenize(query);
+    if (!queryWords.length) return products;
+
+    return products
+        .map((product, position) => ({ product, position, score: scoreProduct(product, queryWords) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .map(result => result.product);
+}
+
+// 'featured' keeps the collection's own order, or newest first outside a collection
+export const PRODUCT_SORTS = ['featured', 'newest', 'price_asc', 'price_desc', 'name'];
+
+// Query-string filters shared by GET /products, /products/search and /collections/:slug.
+// Returns { values: { minPrice, maxPrice, size, inStock, tag, sort } } or { errors } keyed by parameter.
+export function parseSearchFilters(query = {}) {
+    const values = {};
+    const errors = {};
+
+    for (const field of ['minPrice', 'maxPrice']) {
+        if (query[field] === undefined || query[field] === '') continue;
+        const number = Number(query[field]);
+        if (!Number.isFinite(number) || number < 0) errors[field] = 'Must be a price of 0 or more';
+        else values[field] = number;
+    }
+    if (values.minPrice !== undefined && values.maxPrice !== undefined && values.maxPrice < values.minPrice) {
+        errors.maxPrice = 'Must be at least the minimum price';
+    }
+
+    if (query.size) values.size = String(query.size).trim();
+    if (query.tag) values.tag = normalizeSearchText(query.tag);
+    if (query.inStock !== undefined) values.inStock = query.inStock === 'true' || query.inStock === '1';
+
+    if (query.sort) {
+        if (!PRODUCT_SORTS.includes(query.sort)) errors.sort = `Must be one of ${PRODUCT_SORTS.join(', ')}`;
+        else values.sort = query.sort;
+    }
+
+    return Object.keys(errors).length ? { errors } : { values };
+}
+
+// products are in the storefront shape (toProductResponse in api.js)
+export function applySearchFilters(products, { minPrice, maxPrice, size, inStock, tag } = {}) {
+    return products.filter(product => {
+        // A product is in range if any of its sizes is
+        const prices = product.variants.length ? product.variants.map(variant => variant.price) : [product.price_from];
+        const inRange = prices.some(price => (minPrice === undefined || price >= minPrice) && (maxPrice === undefined || price <= maxPrice));
+        if (!inRange) return false;
+        if (inStock && !product.in_stock) return false;
+        if (size) {
+            const variant = product.variants.find(candidate => candidate.size.toLowerCase() === size.toLowerCase());
+            if (!variant || (inStock && !variant.in_stock)) return false;
+        }
+        if (tag && !(product.tags || []).some(candidate => normalizeSearchText(candidate) === tag)) return false;
+        return true;
+    });
+}
+
+// positions: Map of product id -> place in the collection, for the 'featured' order.
+// Without one, 'featured' leaves the products in the order they were loaded (newest first).
+export function sortProducts(products, sort = 'featured', positions = null) {
+    const sorted = [...products];
+    const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+    switch (sort) {
+        case 'newest':
+            return sorted.sort(byNewest);
+        case 'price_asc':
+            return sorted.sort((a, b) => a.price_from - b.price_from || byNewest(a, b));
+        case 'price_desc':
+            return sorted.sort((a, b) => b.price_from - a.price_from || byNewest(a, b));
+        case 'name':
+            return sorted.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+        default:
+            if (!positions) return sorted;
+            return sorted.sort((a, b) => (positions.get(String(a.id)) ?? Number.MAX_SAFE_INTEGER) - (positions.get(String(b.id)) ?? Number.MAX_SAFE_INTEGER));
+    }
+}
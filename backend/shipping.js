@@ -0,0 +1,175 @@
+// --- Shipping Rates ---
+// Works out which shipping options an address can choose from and what each costs.
+//
+// Zones are checked in order and the first match wins, so list the most specific zones first.
+// A zone matches when every criterion it sets matches:
+//   pincodes:  PIN code prefixes, e.g. '744' for the Andaman & Nicobar Islands
+//   states:    state names (case-insensitive)
+//   countries: country names or ISO codes; '*' matches everywhere
+// Pair pincodes and states with a country, or a foreign postcode that happens to share a prefix
+// will match too.
+// Each method prices the parcel by total weight in grams ('weight') or by item count ('items');
+// the first tier whose `upTo` covers the parcel applies, `upTo: null` being open-ended.
+// `freeAbove` waives the charge once the cart subtotal reaches it.
+// Prices include any GST on freight; pricing.js adds them to the order total untaxed.
+//
+// Set SHIPPING_ZONES to a JSON array of zones to override the defaults without a code change.
+
+import { roundMoney } from './pricing.js';
+
+// Used for lines whose variant has no weight recorded
+export const DEFAULT_ITEM_WEIGHT_GRAMS = 500;
+
+// Orders leave the studio within this many business days (see the shipping terms)
+const PROCESSING_DAYS = 2;
+
+const INDIA = ['India', 'IN'];
+
+const REMOTE_METHODS = [
+    {
+        id: 'standard',
+        label: 'Standard Shipping',
+        eta: { minDays: 7, maxDays: 10 },
+        basis: 'weight',
+        tiers: [{ upTo: 500, price: 120 }, { upTo: 2000, price: 200 }, { upTo: null, price: 300 }],
+        freeAbove: 4999
+    }
+];
+
+const DEFAULT_ZONES = [
+    // Matched by PIN code for addresses whose state was left blank or misspelt
+    {
+        id: 'remote',
+        name: 'North East & Islands',
+        match: { countries: INDIA, pincodes: ['744', '68255'] },
+        methods: REMOTE_METHODS
+    },
+    {
+        id: 'remote',
+        name: 'North East & Islands',
+        match: {
+            countries: INDIA,
+            states: [
+                'Andaman and Nicobar Islands', 'Lakshadweep', 'Arunachal Pradesh', 'Assam', 'Manipur',
+                'Meghalaya', 'Mizoram', 'Nagaland', 'Sikkim', 'Tripura', 'Ladakh', 'Jammu and Kashmir'
+            ]
+        },
+        methods: REMOTE_METHODS
+    },
+    {
+        id: 'domestic',
+        name: 'India',
+        match: { countries: INDIA },
+        methods: [
+            {
+                id: 'standard',
+                label: 'Standard Shipping',
+                eta: { minDays: 5, maxDays: 7 },
+                basis: 'weight',
+                tiers: [{ upTo: 500, price: 80 }, { upTo: 2000, price: 150 }, { upTo: null, price: 250 }],
+                freeAbove: 2999
+            },
+            {
+                id: 'express',
+                label: 'Express Shipping',
+                eta: { minDays: 2, maxDays: 3 },
+                basis: 'items',
+                tiers: [{ upTo: 2, price: 250 }, { upTo: null, price: 400 }]
+            }
+        ]
+    },
+    {
+        id: 'international',
+        name: 'International',
+        match: { countries: ['*'] },
+        methods: [
+            {
+                id: 'international',
+                label: 'International Shipping',
+                eta: { minDays: 10, maxDays: 15 },
+                basis: 'weight',
+                tiers: [{ upTo: 500, price: 1500 }, { upTo: 2000, price: 2500 }, { upTo: null, price: 4000 }]
+            }
+        ]
+    }
+];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+function loadZones() {
+    if (!process.env.SHIPPING_ZONES) return DEFAULT_ZONES;
+    try {
+        return JSON.parse(process.env.SHIPPING_ZONES);
+    } catch (error) {
+        console.error('⚠️ SHIPPING_ZONES is not valid JSON; using the default zones.', error.message);
+        return DEFAULT_ZONES;
+    }
+}
+
+function zoneMatches(zone, address) {
+    const { pincodes = [], states = [], countries = [] } = zone.match || {};
+    const pincode = String(address.zipCode || address.pincode || '').replace(/\s/g, '');
+    // Addresses without a country are treated as Indian, like the rest of checkout
+    const country = normalize(address.country) || 'india';
+
+    const checks = [];
+    if (pincodes.length) checks.push(Boolean(pincode) && pincodes.some(prefix => pincode.startsWith(prefix)));
+    if (states.length) checks.push(Boolean(address.state) && states.some(state => normalize(state) === normalize(address.state)));
+    if (countries.length) checks.push(countries.some(candidate => candidate === '*' || normalize(candidate) === country));
+    // A zone with no criteria matches nothing rather than everything
+    return checks.length > 0 && checks.every(Boolean);
+}
+
+export function findShippingZone(address = {}, zones = loadZones()) {
+    return zones.find(zone => zoneMatches(zone, address)) || null;
+}
+
+function addBusinessDays(from, days) {
+    const date = new Date(from);
+    let remaining = days;
+    while (remaining > 0) {
+        date.setDate(date.getDate() + 1);
+        const weekday = date.getDay();
+        if (weekday !== 0 && weekday !== 6) remaining--;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function tierPrice(tiers, amount) {
+    const tier = tiers.find(candidate => candidate.upTo === null || candidate.upTo === undefined || amount <= candidate.upTo);
+    return tier ? Number(tier.price) : null;
+}
+
+// lines: [{ unit_price, quantity, weight_grams? }]
+// Returns the options for the address, cheapest first: [{ id, label, zone, price, eta, estimatedDelivery }]
+// An empty array means the address is outside every zone.
+export function getShippingOptions(lines, address = {}, { now = new Date() } = {}) {
+    const zone = findShippingZone(address);
+    if (!zone) return [];
+
+    const subtotal = lines.reduce((sum, line) => sum + Number(line.unit_price) * line.quantity, 0);
+    const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const weight = lines.reduce((sum, line) => sum + (Number(line.weight_grams) || DEFAULT_ITEM_WEIGHT_GRAMS) * line.quantity, 0);
+
+    return zone.methods
+        .map(method => {
+            const basePrice = tierPrice(method.tiers, method.basis === 'items' ? itemCount : weight);
+            if (basePrice === null) return null;
+
+            const free = method.freeAbove !== undefined && subtotal >= method.freeAbove;
+            return {
+                id: method.id,
+                label: method.label,
+                zone: zone.id,
+                price: free ? 0 : roundMoney(basePrice),
+                freeAbove: method.freeAbove ?? null,
+                eta: method.eta,
+                estimatedDelivery: {
+                    from: addBusinessDays(now, PROCESSING_DAYS + method.eta.minDays),
+                    to: addBusinessDays(now, PROCESSING_DAYS + method.eta.maxDays)
+                }
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.price - b.price);
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findShippingZone, getShippingOptions } from './shipping.js';
+
+const lines = [{ unit_price: 1000, quantity: 1, weight_grams: 400 }];
+
+test('Indian island PIN codes ship as remote', () => {
+    assert.equal(findShippingZone({ zipCode: '744101', country: 'India' }).id, 'remote');
+});
+
+test('remote states match without a remote PIN code', () => {
+    assert.equal(findShippingZone({ zipCode: '781001', state: 'assam', country: 'IN' }).id, 'remote');
+});
+
+test('addresses without a country are treated as Indian', () => {
+    assert.equal(findShippingZone({ zipCode: '744101' }).id, 'remote');
+    assert.equal(findShippingZone({ zipCode: '400001', state: 'Maharashtra' }).id, 'domestic');
+});
+
+test('a foreign ZIP starting with 744 ships internationally', () => {
+    const address = { zipCode: '74401', state: 'Oklahoma', country: 'United States' };
+    assert.equal(findShippingZone(address).id, 'international');
+
+    const [option] = getShippingOptions(lines, address);
+    assert.equal(option.zone, 'international');
+    assert.equal(option.price, 1500);
+});
+
+test('a foreign address in a state named like a remote one is not remote', () => {
+    assert.equal(findShippingZone({ state: 'Assam', country: 'Bangladesh' }).id, 'international');
+});
+
+test('a zone with no criteria matches nothing', () => {
+    assert.equal(findShippingZone({ country: 'India' }, [{ id: 'empty', match: {}, methods: [] }]), null);
+});
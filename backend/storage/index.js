@@ -0,0 +1,37 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSupabaseStorage } from './supabase.js';
+import { createLocalStorage } from './local.js';
+
+// Every storage adapter exposes the same surface:
+//   name
+//   put({ key, body, contentType }) -> public URL of the stored file
+//   remove(keys)                    -> deletes the files, ignoring keys that are already gone
+// Keys are slash-separated paths such as 'products/<productId>/<imageId>/800.webp'.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let storage = null;
+
+export function getImageStorage({ supabase }) {
+    if (storage) return storage;
+
+    const defaultStorage = process.env.NODE_ENV === 'production' ? 'supabase' : 'local';
+    const name = process.env.IMAGE_STORAGE || defaultStorage;
+
+    switch (name) {
+        case 'supabase':
+            storage = createSupabaseStorage({ client: supabase, bucket: process.env.IMAGE_BUCKET || 'product-images' });
+            break;
+        case 'local':
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('Local image storage cannot be used in production');
+            }
+            // Served by the static middleware from the project root
+            storage = createLocalStorage({ directory: path.join(__dirname, '..', '..', 'uploads'), baseUrl: '/uploads' });
+            break;
+        default:
+            throw new Error(`Unknown image storage "${name}"`);
+    }
+    return storage;
+}
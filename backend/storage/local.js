@@ -0,0 +1,27 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development stand-in that writes files under the project so `npm start` can serve them.
+// Serverless deployments have no persistent disk, which is why production uses Supabase Storage.
+export function createLocalStorage({ directory, baseUrl }) {
+    const resolve = (key) => {
+        const filePath = path.resolve(directory, key);
+        if (!filePath.startsWith(path.resolve(directory) + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async put({ key, body }) {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body, { flag: 'wx' });
+            return `${baseUrl}/${key}`;
+        },
+
+        async remove(keys) {
+            await Promise.all(keys.map(key => fs.rm(resolve(key), { force: true })));
+        }
+    };
+}
@@ -0,0 +1,21 @@
+// Supabase Storage adapter. The bucket must be public: the storefront loads images straight
+// from its CDN URLs. Files are never overwritten, so they can be cached for a year.
+export function createSupabaseStorage({ client, bucket }) {
+    const files = () => client.storage.from(bucket);
+
+    return {
+        name: 'supabase',
+
+        async put({ key, body, contentType }) {
+            const { error } = await files().upload(key, body, { contentType, cacheControl: '31536000', upsert: false });
+            if (error) throw error;
+            return files().getPublicUrl(key).data.publicUrl;
+        },
+
+        async remove(keys) {
+            if (!keys.length) return;
+            const { error } = await files().remove(keys);
+            if (error) throw error;
+        }
+    };
+}
@@ -0,0 +1,308 @@
+// --- BRKN Shared Cart ---
+// One cart for every storefront page, persisted under the brkn_cart localStorage key.
+//
+// Line item schema:
+//   { productId, size, quantity, name, price, image }
+// A line is identified by productId + size. name/price/image are a display snapshot only;
+// the backend re-prices every line at checkout.
+//
+// Usage:
+//   BrknCart.add({ productId, size, name, price, image }, quantity);
+//   BrknCart.addEventListener('change', (event) => event.detail.items);
+//   BrknCart.bindCount(document.getElementById('cartCount'));
+//   BrknCart.connect(API_URL); // mirror to the account cart while logged in
+//   BrknCart.fetchQuote({ state, country }); // server-priced totals
+//   BrknCart.applyCoupon('DROP10');           // validated, then included in every quote
+(function () {
+    const CART_KEY = 'brkn_cart';
+    const COUPON_KEY = 'brkn_coupon';
+    const SYNC_DELAY_MS = 400;
+
+    class CartStore extends EventTarget {
+        constructor() {
+            super();
+            this.items = this.read();
+            this.apiUrl = '';
+            this.connected = false;
+            this.syncTimer = null;
+
+            // Another tab changed the cart
+            window.addEventListener('storage', (event) => {
+                if (event.key !== CART_KEY && event.key !== COUPON_KEY) return;
+                this.items = this.read();
+                this.emit();
+            });
+
+            // Leaving the page before the debounce fires would lose the last change
+            window.addEventListener('pagehide', () => this.flushSync());
+        }
+
+        read() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(CART_KEY) || '[]');
+                return Array.isArray(saved) ? saved.map(line => this.normalize(line)).filter(Boolean) : [];
+            } catch (error) {
+                console.error('Error parsing cart from localStorage:', error);
+                localStorage.removeItem(CART_KEY);
+                return [];
+            }
+        }
+
+        // Accepts lines saved by older pages ({ id, ... }) as well as the current shape
+        normalize(line) {
+            const productId = line?.productId ?? line?.id;
+            const quantity = Number(line?.quantity);
+            if (productId === undefined || productId === null || !(quantity > 0)) return null;
+            return {
+                productId: String(productId),
+                size: line.size || null,
+                quantity: Math.floor(quantity),
+                name: line.name || 'Unnamed Product',
+                price: Number(line.price) || 0,
+                image: line.image || ''
+            };
+        }
+
+        save() {
+            localStorage.setItem(CART_KEY, JSON.stringify(this.items));
+            this.emit();
+            if (this.connected) this.scheduleSync();
+        }
+
+        // Swaps in lines that came from the server without echoing them back
+        replace(items) {
+            this.items = items.map(line => this.normalize(line)).filter(Boolean);
+            localStorage.setItem(CART_KEY, JSON.stringify(this.items));
+            this.emit();
+        }
+
+        // --- Account sync ---
+        // Loads the account cart when a session exists; afterwards every change is pushed back.
+        // Resolves to false for guests, whose cart stays local only.
+        async connect(apiUrl = '') {
+            this.apiUrl = apiUrl;
+            try {
+                const response = await fetch(`${apiUrl}/store/cart`, { credentials: 'include' });
+                if (!response.ok) return false;
+
+                const { items } = await response.json();
+                this.connected = true;
+                this.replace(items);
+                return true;
+            } catch (error) {
+                console.warn('Cart sync unavailable:', error);
+                return false;
+            }
+        }
+
+        // Called right after login: folds this browser's cart into the account cart
+        async mergeIntoAccount(apiUrl = '') {
+            this.apiUrl = apiUrl;
+            const response = await fetch(`${apiUrl}/store/cart/merge`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ items: this.toPayload() })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+
+            this.connected = true;
+            this.replace(result.items);
+        }
+
+        // Called on logout: stops syncing and empties this browser's copy only
+        disconnect() {
+            this.connected = false;
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+            this.replace([]);
+        }
+
+        scheduleSync() {
+            clearTimeout(this.syncTimer);
+            this.syncTimer = setTimeout(() => {
+                this.syncTimer = null;
+                this.pushToServer();
+            }, SYNC_DELAY_MS);
+        }
+
+        // Sends a pending sync straight away; keepalive lets the request outlive the page
+        flushSync() {
+            if (!this.syncTimer) return;
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+            if (this.connected) this.pushToServer({ keepalive: true });
+        }
+
+        async pushToServer({ keepalive = false } = {}) {
+            try {
+                const response = await fetch(`${this.apiUrl}/store/cart`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    keepalive,
+                    body: JSON.stringify({ items: this.toPayload() })
+                });
+                // Session ended elsewhere; keep working as a guest cart
+                if (response.status === 401) this.connected = false;
+            } catch (error) {
+                console.warn('Could not save cart to your account:', error);
+            }
+        }
+
+        toPayload() {
+            return this.items.map(({ productId, size, quantity }) => ({ productId, size, quantity }));
+        }
+
+        // Server-priced totals (GST, shipping) for the current lines; every cart view renders from this.
+        // Pass the shipping address once known so the GST split can be worked out.
+        async fetchQuote(address = null) {
+            const response = await fetch(`${this.apiUrl}/api/cart/quote`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include', // Per-customer coupon limits need the session
+                body: JSON.stringify({ items: this.toPayload(), address, couponCode: this.getCouponCode() })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                const error = new Error(result.error || 'Could not price your cart');
+                error.lines = result.lines || [];
+                throw error;
+            }
+            return result;
+        }
+
+        // --- Discount codes ---
+        getCouponCode() {
+            return localStorage.getItem(COUPON_KEY) || null;
+        }
+
+        // Checks the code against the current cart; throws with the reason when it does not apply
+        async applyCoupon(code) {
+            const response = await fetch(`${this.apiUrl}/api/coupons/validate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ code, items: this.toPayload() })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'This code is not valid');
+
+            localStorage.setItem(COUPON_KEY, result.coupon.code);
+            this.emit();
+            return result.coupon;
+        }
+
+        removeCoupon() {
+            localStorage.removeItem(COUPON_KEY);
+            this.emit();
+        }
+
+        // Summary rows for a quote's discount code, amounts negative
+        discountRows(quote) {
+            const coupon = quote?.coupon;
+            if (!coupon) return [];
+            if (coupon.freeShipping) return [{ label: `Free shipping (${coupon.code})`, amount: 0 }];
+            return [{ label: `Discount (${coupon.code})`, amount: -(quote.discount || 0) }];
+        }
+
+        // Summary rows for a quote's GST: CGST + SGST within the store's state, IGST across states,
+        // a single GST row while the destination is still unknown
+        taxRows(quote) {
+            const breakdown = quote?.taxBreakdown || {};
+            const rates = breakdown.rates || [];
+            const rate = rates.length === 1 ? rates[0].rate : null;
+            const label = (name, share = 1) => rate === null ? name : `${name} (${+(rate * share * 100).toFixed(2)}%)`;
+
+            if (breakdown.zeroRated) return [{ label: 'GST (export, zero-rated)', amount: 0 }];
+            if (breakdown.type === 'intra') {
+                return [
+                    { label: label('CGST', 0.5), amount: breakdown.cgst },
+                    { label: label('SGST', 0.5), amount: breakdown.sgst }
+                ];
+            }
+            if (breakdown.type === 'inter') return [{ label: label('IGST'), amount: breakdown.igst }];
+            return [{ label: label('GST'), amount: quote?.tax || 0 }];
+        }
+
+        emit() {
+            this.dispatchEvent(new CustomEvent('change', {
+                detail: { items: this.getItems(), count: this.getCount() }
+            }));
+        }
+
+        find(productId, size) {
+            return this.items.find(line => line.productId === String(productId) && line.size === (size || null));
+        }
+
+        getItems() {
+            return this.items.map(line => ({ ...line }));
+        }
+
+        getCount() {
+            return this.items.reduce((sum, line) => sum + line.quantity, 0);
+        }
+
+        getSubtotal() {
+            return this.items.reduce((sum, line) => sum + line.price * line.quantity, 0);
+        }
+
+        add(product, quantity = 1) {
+            const line = this.normalize({ ...product, quantity });
+            if (!line) {
+                console.error('Attempted to add invalid product to cart:', product);
+                return;
+            }
+
+            const existing = this.find(line.productId, line.size);
+            if (existing) {
+                existing.quantity += line.quantity;
+            } else {
+                this.items.push(line);
+            }
+            this.save();
+        }
+
+        setQuantity(productId, size, quantity) {
+            const line = this.find(productId, size);
+            if (!line) return;
+
+            if (quantity <= 0) {
+                this.remove(productId, size);
+                return;
+            }
+            line.quantity = Math.floor(quantity);
+            this.save();
+        }
+
+        updateQuantity(productId, size, change) {
+            const line = this.find(productId, size);
+            if (line) this.setQuantity(productId, size, line.quantity + change);
+        }
+
+        remove(productId, size) {
+            this.items = this.items.filter(line => !(line.productId === String(productId) && line.size === (size || null)));
+            this.save();
+        }
+
+        clear() {
+            this.items = [];
+            this.save();
+        }
+
+        // Keeps a header badge in sync with the cart, including changes from other tabs
+        bindCount(element) {
+            if (!element) return;
+            const render = () => {
+                const count = this.getCount();
+                element.textContent = count;
+                element.style.display = count > 0 ? 'flex' : 'none';
+            };
+            render();
+            this.addEventListener('change', render);
+        }
+    }
+
+    window.BrknCart = new CartStore();
+})();
@@ -0,0 +1,63 @@
+// --- BRKN Drop Countdown ---
+// Counts down to a scheduled drop (a product's publish_at). Every element carrying a
+// data-countdown-to="<ISO timestamp>" attribute is updated once a second; when one reaches zero
+// the 'open' event fires so the page can switch the product over to on sale.
+//
+// Usage:
+//   element.innerHTML = `Drops in ${BrknCountdown.markup(product.publish_at)}`;
+//   BrknCountdown.start();                      // once the markup is in the page
+//   BrknCountdown.addEventListener('open', (event) => event.detail.element);
+(function () {
+    const pad = (value) => String(value).padStart(2, '0');
+
+    // 183_000_000 -> "2d 02:50:00"; under a day -> "02:50:00"
+    function format(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const clock = `${pad(Math.floor(totalSeconds / 3600) % 24)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+        return days ? `${days}d ${clock}` : clock;
+    }
+
+    class Countdown extends EventTarget {
+        constructor() {
+            super();
+            this.timer = null;
+        }
+
+        format(ms) {
+            return format(ms);
+        }
+
+        markup(isoTimestamp, className = 'countdown') {
+            return `<span class="${className}" data-countdown-to="${isoTimestamp}">${format(new Date(isoTimestamp) - Date.now())}</span>`;
+        }
+
+        start() {
+            if (this.timer) return;
+            this.tick();
+            this.timer = setInterval(() => this.tick(), 1000);
+        }
+
+        tick() {
+            const elements = document.querySelectorAll('[data-countdown-to]');
+            if (!elements.length) {
+                clearInterval(this.timer);
+                this.timer = null;
+                return;
+            }
+
+            elements.forEach(element => {
+                const remaining = new Date(element.dataset.countdownTo) - Date.now();
+                if (remaining > 0) {
+                    element.textContent = format(remaining);
+                    return;
+                }
+                element.textContent = format(0);
+                element.removeAttribute('data-countdown-to');
+                this.dispatchEvent(new CustomEvent('open', { detail: { element } }));
+            });
+        }
+    }
+
+    window.BrknCountdown = new Countdown();
+})();
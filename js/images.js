@@ -0,0 +1,72 @@
+// --- BRKN Responsive Images ---
+// Renders the `media` entries the API returns alongside product.images.
+//
+// Media schema:
+//   { url, alt, width, height, srcset, sources: [{ type, srcset }] }
+// Uploaded images carry JPEG/WebP/AVIF srcsets; images added as plain URLs only have `url`.
+//
+// Usage:
+//   BrknImages.picture(BrknImages.mediaAt(product, 1), { alt: product.name, sizes: '(max-width: 768px) 80vw, 33vw' });
+//   BrknImages.urlFor(media, 200); // a single URL, e.g. for the cart thumbnail
+(function () {
+    // Shown when a product has no image for a slot or the image fails to load
+    const PLACEHOLDER = 'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="800" viewBox="0 0 600 800">' +
+        '<rect width="600" height="800" fill="#111"/>' +
+        '<text x="300" y="410" fill="#333" font-family="Arial, sans-serif" font-size="64" font-weight="bold" ' +
+        'letter-spacing="8" text-anchor="middle">BRKN</text></svg>'
+    );
+
+    const escapeAttribute = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    // The media entry for one gallery slot, falling back to the bare URL for older API responses
+    function mediaAt(product, index) {
+        if (product?.media?.[index]) return product.media[index];
+        const url = product?.images?.[index];
+        return url ? { url, sources: [] } : null;
+    }
+
+    function picture(media, { alt = '', sizes = '100vw', className = '', loading = 'lazy', attributes = '' } = {}) {
+        const imgAttributes = [
+            `src="${escapeAttribute(media?.url || PLACEHOLDER)}"`,
+            media?.srcset ? `srcset="${escapeAttribute(media.srcset)}" sizes="${escapeAttribute(sizes)}"` : '',
+            media?.width && media?.height ? `width="${media.width}" height="${media.height}"` : '',
+            `alt="${escapeAttribute(media?.alt || alt)}"`,
+            className ? `class="${escapeAttribute(className)}"` : '',
+            `loading="${loading}"`,
+            'onerror="BrknImages.fallback(this)"',
+            attributes
+        ].filter(Boolean).join(' ');
+
+        const sources = (media?.sources || [])
+            .filter(source => source.srcset)
+            .map(source => `<source type="${escapeAttribute(source.type)}" srcset="${escapeAttribute(source.srcset)}" sizes="${escapeAttribute(sizes)}">`)
+            .join('');
+
+        return `<picture>${sources}<img ${imgAttributes}></picture>`;
+    }
+
+    // Smallest JPEG rendition at least `width` pixels wide
+    function urlFor(media, width) {
+        if (!media) return PLACEHOLDER;
+        if (!media.srcset) return media.url || PLACEHOLDER;
+
+        const candidates = media.srcset.split(', ').map(entry => {
+            const [url, descriptor] = entry.trim().split(/\s+/);
+            return { url, width: parseInt(descriptor, 10) || 0 };
+        });
+        return (candidates.find(candidate => candidate.width >= width) || candidates[candidates.length - 1]).url;
+    }
+
+    // <source> elements win over the <img>'s own src, so they go too before swapping in the placeholder
+    function fallback(img) {
+        img.onerror = null;
+        img.parentElement?.querySelectorAll('source').forEach(source => source.remove());
+        img.removeAttribute('srcset');
+        img.src = PLACEHOLDER;
+    }
+
+    window.BrknImages = { PLACEHOLDER, mediaAt, picture, urlFor, fallback };
+})();
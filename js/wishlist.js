@@ -0,0 +1,160 @@
+// --- BRKN Shared Wishlist ---
+// Saved products for every storefront page. Guests keep product ids under the brkn_wishlist
+// localStorage key; once logged in the account wishlist (/store/wishlist) is the source of
+// truth and this browser only mirrors its ids.
+//
+// Usage:
+//   BrknWishlist.connect(API_URL);                 // load the account wishlist while logged in
+//   BrknWishlist.has(productId);
+//   await BrknWishlist.toggle(productId);          // resolves to true when now saved
+//   BrknWishlist.addEventListener('change', (event) => event.detail.ids);
+//   await BrknWishlist.fetchProducts();            // storefront products, most recently saved first
+(function () {
+    const WISHLIST_KEY = 'brkn_wishlist';
+
+    class WishlistStore extends EventTarget {
+        constructor() {
+            super();
+            this.ids = this.read();
+            this.apiUrl = '';
+            this.connected = false;
+
+            // Another tab changed the wishlist
+            window.addEventListener('storage', (event) => {
+                if (event.key !== WISHLIST_KEY) return;
+                this.ids = this.read();
+                this.emit();
+            });
+        }
+
+        read() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(WISHLIST_KEY) || '[]');
+                return Array.isArray(saved) ? [...new Set(saved.map(String))] : [];
+            } catch (error) {
+                console.error('Error parsing wishlist from localStorage:', error);
+                localStorage.removeItem(WISHLIST_KEY);
+                return [];
+            }
+        }
+
+        save(ids) {
+            this.ids = ids;
+            localStorage.setItem(WISHLIST_KEY, JSON.stringify(this.ids));
+            this.emit();
+        }
+
+        emit() {
+            this.dispatchEvent(new CustomEvent('change', { detail: { ids: [...this.ids] } }));
+        }
+
+        has(productId) {
+            return this.ids.includes(String(productId));
+        }
+
+        getCount() {
+            return this.ids.length;
+        }
+
+        // Mirrors the ids of an account wishlist response. Unchanged ids emit nothing, so pages that
+        // reload their saved products on 'change' don't fetch again in a loop.
+        replace(items) {
+            const ids = items.map(item => String(item.productId));
+            if (ids.length === this.ids.length && ids.every((id, index) => id === this.ids[index])) return;
+            this.save(ids);
+        }
+
+        async request(method, path, body) {
+            const response = await fetch(`${this.apiUrl}/store/wishlist${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await response.json();
+            if (response.status === 401) {
+                // Session ended elsewhere; carry on as a guest
+                this.connected = false;
+                return null;
+            }
+            if (!response.ok) throw new Error(result.error || 'Could not update your wishlist');
+            this.replace(result.items);
+            return result.items;
+        }
+
+        async add(productId) {
+            const id = String(productId);
+            if (this.connected && await this.request('PUT', `/${encodeURIComponent(id)}`)) return;
+            if (!this.has(id)) this.save([id, ...this.ids]);
+        }
+
+        async remove(productId) {
+            const id = String(productId);
+            if (this.connected && await this.request('DELETE', `/${encodeURIComponent(id)}`)) return;
+            this.save(this.ids.filter(saved => saved !== id));
+        }
+
+        async toggle(productId) {
+            if (this.has(productId)) {
+                await this.remove(productId);
+                return false;
+            }
+            await this.add(productId);
+            return true;
+        }
+
+        // --- Account sync ---
+        // Loads the account wishlist when a session exists. Resolves to false for guests.
+        async connect(apiUrl = '') {
+            this.apiUrl = apiUrl;
+            try {
+                const response = await fetch(`${apiUrl}/store/wishlist`, { credentials: 'include' });
+                if (!response.ok) return false;
+
+                const { items } = await response.json();
+                this.connected = true;
+                this.replace(items);
+                return true;
+            } catch (error) {
+                console.warn('Wishlist sync unavailable:', error);
+                return false;
+            }
+        }
+
+        // Called right after login: saves this browser's guest wishlist to the account
+        async mergeIntoAccount(apiUrl = '') {
+            this.apiUrl = apiUrl;
+            this.connected = true;
+            await this.request('POST', '/merge', { productIds: this.ids });
+        }
+
+        // Called on logout: the wishlist stays with the account, not this browser
+        disconnect() {
+            this.connected = false;
+            this.save([]);
+        }
+
+        // Full storefront products for the saved ids, most recently saved first
+        async fetchProducts() {
+            if (this.connected) {
+                const response = await fetch(`${this.apiUrl}/store/wishlist`, { credentials: 'include' });
+                if (response.ok) {
+                    const { items } = await response.json();
+                    this.replace(items);
+                    return items.map(item => item.product);
+                }
+                this.connected = false;
+            }
+            if (!this.ids.length) return [];
+
+            // Guests: look the ids up in the public catalogue; anything no longer on sale drops out
+            const response = await fetch(`${this.apiUrl}/products`);
+            if (!response.ok) throw new Error('Could not load your wishlist');
+            const products = await response.json();
+            const byId = new Map(products.map(product => [String(product.id), product]));
+            return this.ids.map(id => byId.get(id)).filter(Boolean);
+        }
+    }
+
+    window.BrknWishlist = new WishlistStore();
+})();
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// Runs js/wishlist.js against a stubbed browser; `items` is what GET /store/wishlist answers with
+function loadWishlist(items) {
+    const requests = [];
+    const storage = new Map();
+    const context = {
+        console,
+        EventTarget,
+        CustomEvent,
+        window: { addEventListener() {} },
+        localStorage: {
+            getItem: (key) => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        },
+        fetch: async (url, options = {}) => {
+            requests.push(`${options.method || 'GET'} ${url}`);
+            // A change -> reload -> change loop never yields to timers, so stop it here
+            if (requests.length > 20) throw new Error('Runaway wishlist requests');
+            return { ok: true, status: 200, json: async () => ({ items }) };
+        }
+    };
+    context.window = Object.assign(context.window, context);
+    vm.runInNewContext(readFileSync(new URL('./wishlist.js', import.meta.url), 'utf8'), context);
+    return { wishlist: context.window.BrknWishlist, requests };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('reloading saved products on change sends one request per load', async () => {
+    const { wishlist, requests } = loadWishlist([{ productId: 'a', product: { id: 'a' } }]);
+    await wishlist.connect();
+    requests.length = 0;
+
+    // What cart.html does: every change reloads the saved products
+    const loadSaved = () => wishlist.fetchProducts();
+    wishlist.addEventListener('change', loadSaved);
+
+    await loadSaved();
+    await settle();
+    assert.deepEqual(requests, ['GET /store/wishlist']);
+});
+
+test('an account wishlist with different ids still announces the change', async () => {
+    const { wishlist } = loadWishlist([{ productId: 'b', product: { id: 'b' } }, { productId: 'a', product: { id: 'a' } }]);
+    const changes = [];
+    wishlist.addEventListener('change', (event) => changes.push(event.detail.ids));
+
+    await wishlist.connect();
+    await wishlist.fetchProducts();
+    assert.deepEqual(changes.map(ids => [...ids]), [['b', 'a']]);
+});
@@ -0,0 +1,67 @@
+-- Catalogue tables and columns (backend/catalog.js, ADMIN PRODUCT / COLLECTION ROUTES).
+-- products and users predate these migrations; ids are uuid throughout, like theirs.
+
+alter table products add column if not exists tags text[] not null default '{}';
+alter table products add column if not exists hsn_code text;
+-- GST as a fraction, 0.18 = 18%; null falls back to DEFAULT_GST_RATE in pricing.js
+alter table products add column if not exists tax_rate numeric(4, 3) check (tax_rate between 0 and 0.28);
+-- Publish window: a product is "coming soon" before publish_at and leaves the storefront at unpublish_at
+alter table products add column if not exists publish_at timestamptz;
+alter table products add column if not exists unpublish_at timestamptz;
+alter table products add column if not exists created_at timestamptz not null default now();
+
+create index if not exists products_status_idx on products (status);
+
+create table if not exists product_variants (
+    id uuid primary key default gen_random_uuid(),
+    product_id uuid not null references products(id) on delete cascade,
+    size text,
+    sku text,
+    price numeric(12, 2) check (price >= 0),
+    -- adjustVariantStock compares and sets this value; it never goes below zero
+    stock integer not null default 0 check (stock >= 0),
+    weight_grams integer check (weight_grams >= 0),
+    position integer not null default 0,
+    created_at timestamptz not null default now(),
+    -- The admin routes turn these 23505s into "This SKU or size is already in use"
+    constraint product_variants_product_size_key unique nulls not distinct (product_id, size),
+    constraint product_variants_sku_key unique (sku)
+);
+
+create table if not exists product_images (
+    id uuid primary key default gen_random_uuid(),
+    product_id uuid not null references products(id) on delete cascade,
+    url text not null,
+    alt text,
+    width integer,
+    height integer,
+    srcset text,
+    -- [{ type, srcset }] for the <picture> sources, see images.js buildSrcsets
+    sources jsonb not null default '[]',
+    storage_keys text[] not null default '{}',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists product_images_product_id_idx on product_images (product_id);
+
+create table if not exists collections (
+    id uuid primary key default gen_random_uuid(),
+    slug text not null,
+    name text not null,
+    description text,
+    position integer not null default 0,
+    publish_at timestamptz,
+    unpublish_at timestamptz,
+    created_at timestamptz not null default now(),
+    constraint collections_slug_key unique (slug),
+    constraint collections_publish_window_check check (unpublish_at is null or publish_at is null or unpublish_at > publish_at)
+);
+
+create table if not exists product_collections (
+    collection_id uuid not null references collections(id) on delete cascade,
+    product_id uuid not null references products(id) on delete cascade,
+    position integer not null default 0,
+    primary key (collection_id, product_id)
+);
+
+create index if not exists product_collections_product_id_idx on product_collections (product_id);
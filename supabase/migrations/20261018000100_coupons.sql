@@ -0,0 +1,21 @@
+-- Discount codes (backend/discounts.js, COUPON HELPERS in backend/api.js)
+
+create table if not exists coupons (
+    id uuid primary key default gen_random_uuid(),
+    -- Stored upper-case (normalizeCouponCode); duplicates come back as "This code already exists"
+    code text not null,
+    type text not null check (type in ('percent', 'fixed', 'free_shipping')),
+    value numeric(12, 2) check (value >= 0),
+    min_order_value numeric(12, 2) check (min_order_value >= 0),
+    product_ids uuid[],
+    collection_ids uuid[],
+    max_uses integer check (max_uses >= 0),
+    max_uses_per_user integer check (max_uses_per_user >= 0),
+    -- claimCoupon compares and sets this against max_uses
+    times_used integer not null default 0 check (times_used >= 0),
+    starts_at timestamptz,
+    ends_at timestamptz,
+    active boolean not null default true,
+    created_at timestamptz not null default now(),
+    constraint coupons_code_key unique (code)
+);
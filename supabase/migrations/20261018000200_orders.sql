@@ -0,0 +1,127 @@
+-- Orders, payments and returns (ORDER / PAYMENT / RETURN routes in backend/api.js)
+
+create table if not exists orders (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid references users(id),
+    email text,
+    -- pending -> paid -> packed -> shipped -> delivered, or cancelled / expired
+    status text not null default 'pending'
+        check (status in ('pending', 'paid', 'packed', 'shipped', 'delivered', 'cancelled', 'expired')),
+    currency text not null default 'INR',
+    subtotal numeric(12, 2) not null default 0,
+    discount numeric(12, 2) not null default 0,
+    tax numeric(12, 2) not null default 0,
+    shipping numeric(12, 2) not null default 0,
+    total numeric(12, 2) not null default 0,
+    tax_breakdown jsonb,
+    coupon_id uuid references coupons(id),
+    coupon_code text,
+    discount_details jsonb,
+    -- Checkout: the address in the address book API's camelCase shape, and the shipping quotes for it
+    shipping_address jsonb,
+    shipping_options jsonb,
+    shipping_method jsonb,
+    -- Stock is held until then; releaseExpiredReservations expires the order afterwards
+    reserved_until timestamptz,
+    carrier text,
+    tracking_number text,
+    paid_at timestamptz,
+    delivered_at timestamptz,
+    cancelled_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists orders_user_id_idx on orders (user_id, created_at desc);
+create index if not exists orders_status_reserved_until_idx on orders (status, reserved_until);
+
+create table if not exists order_items (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references orders(id) on delete cascade,
+    product_id uuid not null references products(id),
+    -- Null for products sold without stock tracking
+    variant_id uuid references product_variants(id),
+    product_name text not null,
+    size text,
+    image text,
+    hsn_code text,
+    tax_rate numeric(4, 3),
+    unit_price numeric(12, 2) not null,
+    quantity integer not null check (quantity > 0),
+    line_total numeric(12, 2) not null,
+    discount_amount numeric(12, 2) not null default 0,
+    tax_amount numeric(12, 2) not null default 0,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists order_items_order_id_idx on order_items (order_id);
+create index if not exists order_items_product_id_idx on order_items (product_id);
+
+-- One row per status change, including 'refunded', 'partially_refunded' and 'needs_attention' notes
+create table if not exists order_status_history (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references orders(id) on delete cascade,
+    status text not null,
+    note text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx on order_status_history (order_id, created_at);
+
+create table if not exists payments (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references orders(id) on delete cascade,
+    provider text not null,
+    provider_order_id text not null,
+    provider_payment_id text,
+    amount numeric(12, 2) not null,
+    currency text not null default 'INR',
+    status text not null default 'created'
+        check (status in ('created', 'captured', 'failed', 'void', 'refunded', 'refund_pending')),
+    refund_id text,
+    created_at timestamptz not null default now(),
+    -- Confirmations look the payment up by the provider's order id
+    constraint payments_provider_order_id_key unique (provider_order_id)
+);
+
+create index if not exists payments_order_id_idx on payments (order_id);
+
+create table if not exists coupon_redemptions (
+    id uuid primary key default gen_random_uuid(),
+    coupon_id uuid not null references coupons(id) on delete cascade,
+    order_id uuid not null references orders(id) on delete cascade,
+    user_id uuid references users(id),
+    created_at timestamptz not null default now(),
+    constraint coupon_redemptions_order_id_key unique (order_id)
+);
+
+create index if not exists coupon_redemptions_coupon_user_idx on coupon_redemptions (coupon_id, user_id);
+
+create table if not exists returns (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references orders(id) on delete cascade,
+    user_id uuid not null references users(id),
+    status text not null default 'requested'
+        check (status in ('requested', 'approved', 'rejected', 'received', 'refunded', 'exchanged')),
+    reason text not null,
+    notes text,
+    admin_notes text,
+    refund_amount numeric(12, 2) not null default 0,
+    refund_id text,
+    received_at timestamptz,
+    refunded_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists returns_order_id_idx on returns (order_id);
+create index if not exists returns_status_idx on returns (status, created_at desc);
+
+create table if not exists return_items (
+    id uuid primary key default gen_random_uuid(),
+    return_id uuid not null references returns(id) on delete cascade,
+    order_item_id uuid not null references order_items(id),
+    quantity integer not null check (quantity > 0),
+    -- Set when the customer wants another size instead of their money back
+    exchange_size text
+);
+
+create index if not exists return_items_return_id_idx on return_items (return_id);
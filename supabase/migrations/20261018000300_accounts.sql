@@ -0,0 +1,57 @@
+-- Per-customer data: address book, account cart, wishlist and stock alerts
+
+create table if not exists addresses (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users(id) on delete cascade,
+    first_name text not null,
+    last_name text not null,
+    email text,
+    phone text not null,
+    address1 text not null,
+    address2 text,
+    city text not null,
+    state text not null,
+    zip_code text not null,
+    country text not null,
+    is_default boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+-- One default per customer; clearDefaultAddress runs before another address takes the flag
+create unique index if not exists addresses_one_default_per_user_idx on addresses (user_id) where is_default;
+create index if not exists addresses_user_id_idx on addresses (user_id, created_at desc);
+
+-- The account cart mirrors js/cart.js, where a line is a product and size
+create table if not exists cart_items (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users(id) on delete cascade,
+    product_id uuid not null references products(id) on delete cascade,
+    size text,
+    quantity integer not null check (quantity > 0),
+    created_at timestamptz not null default now(),
+    constraint cart_items_user_product_size_key unique nulls not distinct (user_id, product_id, size)
+);
+
+create table if not exists wishlist_items (
+    user_id uuid not null references users(id) on delete cascade,
+    product_id uuid not null references products(id) on delete cascade,
+    created_at timestamptz not null default now(),
+    -- The upsert in the wishlist routes conflicts on this key
+    primary key (user_id, product_id)
+);
+
+create table if not exists notification_subscriptions (
+    id uuid primary key default gen_random_uuid(),
+    kind text not null check (kind in ('restock', 'drop')),
+    email text not null,
+    product_id uuid not null references products(id) on delete cascade,
+    -- Set for restock alerts, null for drops
+    variant_id uuid references product_variants(id) on delete cascade,
+    user_id uuid references users(id) on delete set null,
+    notified_at timestamptz,
+    created_at timestamptz not null default now(),
+    constraint notification_subscriptions_kind_variant_check check ((kind = 'restock') = (variant_id is not null))
+);
+
+-- sendDueNotifications scans the subscriptions that are still waiting
+create index if not exists notification_subscriptions_pending_idx on notification_subscriptions (created_at) where notified_at is null;
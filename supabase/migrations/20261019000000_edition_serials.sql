@@ -0,0 +1,20 @@
+-- Numbered units of limited editions (backend/api.js, EDITION HELPERS).
+-- The two unique constraints are what stop two payments taking the same number and a line being
+-- numbered twice: claimEditionSerial relies on the 23505 they raise.
+
+alter table products add column if not exists edition_size integer check (edition_size > 0);
+
+create table if not exists edition_serials (
+    id uuid primary key default gen_random_uuid(),
+    product_id uuid not null references products(id),
+    serial integer not null check (serial > 0),
+    edition_size integer not null check (edition_size > 0),
+    order_id uuid not null references orders(id) on delete cascade,
+    order_item_id uuid not null references order_items(id) on delete cascade,
+    unit integer not null check (unit > 0),
+    created_at timestamptz not null default now(),
+    constraint edition_serials_product_serial_key unique (product_id, serial),
+    constraint edition_serials_order_item_unit_key unique (order_item_id, unit)
+);
+
+create index if not exists edition_serials_order_id_idx on edition_serials (order_id);
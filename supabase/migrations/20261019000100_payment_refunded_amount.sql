@@ -0,0 +1,8 @@
+-- Running total of refunds on a payment (refundPayment in backend/api.js). Partial refunds are
+-- capped at amount - refunded_amount, and the payment becomes 'refunded' once they add up to amount.
+
+alter table payments add column if not exists refunded_amount numeric(12, 2) not null default 0
+    check (refunded_amount >= 0);
+
+-- Payments refunded in full before the column existed
+update payments set refunded_amount = amount where status = 'refunded' and refunded_amount = 0;